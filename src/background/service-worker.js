@@ -8,15 +8,37 @@
 // Note: In service worker context, we rely on native browser APIs
 // The browser compatibility layer is primarily for content scripts
 
+// Shared palette and theme file helpers (classic worker, so importScripts)
+importScripts('../utils/messages.js', '../utils/palette.js', '../utils/fonts.js', '../utils/theme-format.js', '../utils/site-rules.js', '../utils/schedule.js', '../utils/theme-css.js');
+
 // Default preferences
 const DEFAULT_PREFERENCES = {
   enabled: true,
   mode: 'auto',
+  themeStyle: 'full',
+  siteOverrides: {},
+  schedule: OwlRetroSchedule.DEFAULT_SCHEDULE,
   useMonospace: true,
   intensity: 0.8,
+  palette: 'retro',
   siteAllowlist: [],
   siteBlocklist: [],
   cacheEnabled: true,
+  deepRecolor: false,
+  colorMapping: 'perceptual',
+  imageTreatment: 'none',
+  imageMinSize: 96,
+  framePolicy: 'follow',
+  font: 'system-mono',
+  fontScope: 'all',
+  fontScale: 1,
+  lineHeightScale: 1,
+  crtEffects: {
+    scanlines: { enabled: false, strength: 0.4 },
+    vignette: { enabled: false, strength: 0.4 },
+    glow: { enabled: false, strength: 0.4 },
+    cursor: { enabled: false, strength: 1 }
+  },
   performanceMode: 'balanced'
 };
 
@@ -47,6 +69,31 @@ chrome.runtime.onInstalled.addListener((details) => {
       console.error('Migration failed:', error);
     });
   }
+
+  updateScheduleAlarm().catch((error) => {
+    console.error('Failed to schedule mode switch:', error);
+  });
+  precompileThemeStylesheets();
+
+  createContextMenus();
+});
+
+// Alarms don't survive a browser restart reliably, so reschedule on startup
+chrome.runtime.onStartup.addListener(() => {
+  updateScheduleAlarm().catch((error) => {
+    console.error('Failed to schedule mode switch:', error);
+  });
+  precompileThemeStylesheets();
+});
+
+// Reschedule when the schedule or the modes using it change
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync' && changes.owl_preferences) {
+    updateScheduleAlarm().catch((error) => {
+      console.error('Failed to schedule mode switch:', error);
+    });
+    precompileThemeStylesheets(changes.owl_preferences.newValue);
+  }
 });
 
 // Handle action icon click
@@ -56,115 +103,218 @@ chrome.action.onClicked.addListener((tab) => {
   console.log('Action clicked for tab:', tab.id);
 });
 
-// Message handler for communication with content scripts and popup
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  switch (request.action) {
-    case 'getPreferences':
-      handleGetPreferences(sendResponse);
-      return true; // Keep channel open for async response
+// Message handler for communication with content scripts and popup (see messages.js)
+const { ACTIONS } = OwlRetroMessages;
+
+chrome.runtime.onMessage.addListener(OwlRetroMessages.createListener({
+  [ACTIONS.GET_PREFERENCES]: handleGetPreferences,
+  [ACTIONS.SET_PREFERENCES]: handleSetPreferences,
+  [ACTIONS.CLEAR_SITE_CACHE]: handleClearSiteCache,
+  [ACTIONS.CLEAR_ALL_CACHE]: handleClearAllCache,
+  [ACTIONS.GET_ACTIVE_TAB]: handleGetActiveTab,
+  [ACTIONS.GET_THEME_CSS]: handleGetThemeCSS,
+  [ACTIONS.GET_TOP_FRAME_STATE]: handleGetTopFrameState,
+  [ACTIONS.FRAME_STATE_CHANGED]: handleFrameStateChanged
+}));
+
+// Keyboard shortcuts (manifest "commands")
+chrome.commands.onCommand.addListener((command, tab) => {
+  handleCommand(command, tab).catch((error) => {
+    console.error(`Command "${command}" failed:`, error);
+  });
+});
 
-    case 'setPreferences':
-      handleSetPreferences(request.preferences, sendResponse);
-      return true;
+// Order used by the cycle-mode shortcut
+const MODE_CYCLE = ['light', 'dark', 'auto'];
 
-    case 'clearSiteCache':
-      handleClearSiteCache(request.site, sendResponse);
-      return true;
+// Apply a keyboard shortcut to the current tab, sending the same messages as the popup
+async function handleCommand(command, tab) {
+  if (!tab) {
+    [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  }
+  const isWebPage = Boolean(tab && tab.url && /^https?:\/\//.test(tab.url));
+  const url = isWebPage ? tab.url : null;
 
-    case 'clearAllCache':
-      handleClearAllCache(sendResponse);
-      return true;
+  const result = await chrome.storage.sync.get('owl_preferences');
+  let preferences = { ...DEFAULT_PREFERENCES, ...result.owl_preferences };
+  let message = null;
+
+  switch (command) {
+    case 'toggle-theme':
+      preferences.enabled = !preferences.enabled;
+      message = [ACTIONS.TOGGLE, { enabled: preferences.enabled }];
+      break;
+
+    case 'cycle-mode': {
+      // Site overrides win, so cycle the mode this tab actually uses
+      const { settings } = OwlRetroSiteRules.resolveSiteSettings(preferences, url);
+      const mode = MODE_CYCLE[(MODE_CYCLE.indexOf(settings.mode) + 1) % MODE_CYCLE.length];
+      preferences = OwlRetroSiteRules.updateSetting(preferences, url, 'mode', mode);
+      message = [ACTIONS.CHANGE_MODE, { mode }];
+      break;
+    }
 
-    case 'getActiveTab':
-      handleGetActiveTab(sendResponse);
-      return true;
+    case 'toggle-font': {
+      const { settings } = OwlRetroSiteRules.resolveSiteSettings(preferences, url);
+      const useMonospace = !settings.useMonospace;
+      preferences = OwlRetroSiteRules.updateSetting(preferences, url, 'useMonospace', useMonospace);
+      message = [ACTIONS.TOGGLE_FONT, { useMonospace }];
+      break;
+    }
+
+    case 'toggle-site-block': {
+      if (!url) return;
+      const hostname = new URL(url).hostname;
+      const match = OwlRetroSiteRules.getSiteRuleMatch(preferences, url);
+
+      if (match.list === 'blocklist') {
+        // Unblock by removing the rule that blocks this page
+        preferences.siteBlocklist = preferences.siteBlocklist.filter(rule => rule !== match.rule);
+      } else {
+        preferences = addBlockRule(preferences, hostname);
+      }
+      break;
+    }
 
     default:
-      sendResponse({ error: 'Unknown action' });
-      return false;
+      console.warn('Unknown command:', command);
+      return;
   }
-});
 
-// Get preferences
-async function handleGetPreferences(sendResponse) {
-  try {
-    const result = await chrome.storage.sync.get('owl_preferences');
-    const preferences = result.owl_preferences || DEFAULT_PREFERENCES;
-    sendResponse({ success: true, preferences });
-  } catch (error) {
-    console.error('Failed to get preferences:', error);
-    sendResponse({ success: false, error: error.message });
+  await chrome.storage.sync.set({ owl_preferences: preferences });
+  if (!isWebPage) return;
+
+  // Blocking needs a fresh page, like the popup's Allow/Block buttons
+  if (command === 'toggle-site-block') {
+    chrome.tabs.reload(tab.id);
+    return;
   }
+
+  OwlRetroMessages.sendToTab(tab.id, ACTIONS.PREFERENCES_UPDATED, { preferences }).catch(() => {
+    // Content script not available - this is normal for some pages
+  });
+  OwlRetroMessages.sendToTab(tab.id, ...message).catch(() => {});
 }
 
-// Set preferences
-async function handleSetPreferences(preferences, sendResponse) {
-  try {
-    await chrome.storage.sync.set({ owl_preferences: preferences });
-
-    // Notify all tabs about preference change
-    const tabs = await chrome.tabs.query({});
-    tabs.forEach(tab => {
-      // Only send to valid web pages
-      if (tab.url && (tab.url.startsWith('http://') || tab.url.startsWith('https://'))) {
-        chrome.tabs.sendMessage(tab.id, {
-          action: 'preferencesUpdated',
-          preferences: preferences
-        }).catch(() => {
-          // Ignore errors for tabs without content script
-        });
-      }
-    });
+// Move a rule onto the blocklist (and off the allowlist)
+function addBlockRule(preferences, rule) {
+  return {
+    ...preferences,
+    siteAllowlist: preferences.siteAllowlist.filter(existing => existing !== rule),
+    siteBlocklist: preferences.siteBlocklist.includes(rule)
+      ? preferences.siteBlocklist
+      : [...preferences.siteBlocklist, rule]
+  };
+}
 
-    sendResponse({ success: true });
-  } catch (error) {
-    console.error('Failed to set preferences:', error);
-    sendResponse({ success: false, error: error.message });
-  }
+// Regex rule matching exactly one page (either scheme, any query or hash)
+function createPageRule(pageUrl) {
+  const url = new URL(pageUrl);
+  const escape = (text) => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+  const path = url.pathname.replace(/\/+$/, '');
+  return `/^https?:\\/\\/${escape(url.host)}${escape(path)}\\/?(?:[?#]|$)/`;
 }
 
-// Clear site cache
-async function handleClearSiteCache(site, sendResponse) {
-  try {
-    const cacheKey = `owl_cache_${site}`;
-    await chrome.storage.local.set({ [cacheKey]: null });
-    sendResponse({ success: true });
-  } catch (error) {
-    console.error('Failed to clear site cache:', error);
-    sendResponse({ success: false, error: error.message });
+// Right-click menu
+const CONTEXT_MENU_ITEMS = [
+  { id: 'disable-site', title: 'Disable Owl Retro on this site' },
+  { id: 'disable-page', title: 'Disable for this page only' },
+  { id: 'exclude-element', title: 'Exclude this element from theming' },
+  { id: 'switch-mode', title: 'Switch mode' }
+];
+
+function createContextMenus() {
+  chrome.contextMenus.removeAll(() => {
+    CONTEXT_MENU_ITEMS.forEach(item => {
+      chrome.contextMenus.create({
+        ...item,
+        contexts: ['page', 'frame', 'selection', 'link', 'editable', 'image', 'video', 'audio'],
+        documentUrlPatterns: ['http://*/*', 'https://*/*']
+      });
+    });
+  });
+}
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  handleContextMenuClick(info, tab).catch((error) => {
+    console.error(`Context menu "${info.menuItemId}" failed:`, error);
+  });
+});
+
+async function handleContextMenuClick(info, tab) {
+  switch (info.menuItemId) {
+    case 'disable-site':
+    case 'disable-page': {
+      const result = await chrome.storage.sync.get('owl_preferences');
+      const preferences = { ...DEFAULT_PREFERENCES, ...result.owl_preferences };
+      const rule = info.menuItemId === 'disable-site'
+        ? new URL(info.pageUrl).hostname
+        : createPageRule(info.pageUrl);
+
+      // Content scripts remove the theme when they see the new blocklist
+      await chrome.storage.sync.set({ owl_preferences: addBlockRule(preferences, rule) });
+      break;
+    }
+
+    case 'exclude-element':
+      // Only the frame that was right-clicked knows the element
+      await OwlRetroMessages.sendToTab(tab.id, ACTIONS.EXCLUDE_ELEMENT, {}, { frameId: info.frameId || 0 });
+      break;
+
+    case 'switch-mode':
+      await handleCommand('cycle-mode', tab);
+      break;
   }
 }
 
-// Clear all cache
-async function handleClearAllCache(sendResponse) {
-  try {
-    const allData = await chrome.storage.local.get(null);
-    const cacheKeys = Object.keys(allData).filter(key => key.startsWith('owl_cache_'));
+// Get preferences
+async function handleGetPreferences() {
+  const result = await chrome.storage.sync.get('owl_preferences');
+  return { preferences: result.owl_preferences || DEFAULT_PREFERENCES };
+}
 
-    if (cacheKeys.length > 0) {
-      const clearData = {};
-      cacheKeys.forEach(key => {
-        clearData[key] = null;
+// Set preferences
+async function handleSetPreferences({ preferences }) {
+  await chrome.storage.sync.set({ owl_preferences: preferences });
+
+  // Notify all tabs about preference change
+  const tabs = await chrome.tabs.query({});
+  tabs.forEach(tab => {
+    // Only send to valid web pages
+    if (tab.url && (tab.url.startsWith('http://') || tab.url.startsWith('https://'))) {
+      OwlRetroMessages.sendToTab(tab.id, ACTIONS.PREFERENCES_UPDATED, { preferences }).catch(() => {
+        // Ignore errors for tabs without content script
       });
-      await chrome.storage.local.set(clearData);
     }
+  });
+}
 
-    sendResponse({ success: true, cleared: cacheKeys.length });
-  } catch (error) {
-    console.error('Failed to clear all cache:', error);
-    sendResponse({ success: false, error: error.message });
+// Clear site cache
+async function handleClearSiteCache({ site }) {
+  const cacheKey = `owl_cache_${site}`;
+  await chrome.storage.local.set({ [cacheKey]: null });
+}
+
+// Clear all cache
+async function handleClearAllCache() {
+  const allData = await chrome.storage.local.get(null);
+  const cacheKeys = Object.keys(allData).filter(key => key.startsWith('owl_cache_'));
+
+  if (cacheKeys.length > 0) {
+    const clearData = {};
+    cacheKeys.forEach(key => {
+      clearData[key] = null;
+    });
+    await chrome.storage.local.set(clearData);
   }
+
+  return { cleared: cacheKeys.length };
 }
 
 // Get active tab
-async function handleGetActiveTab(sendResponse) {
-  try {
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    sendResponse({ success: true, tab });
-  } catch (error) {
-    console.error('Failed to get active tab:', error);
-    sendResponse({ success: false, error: error.message });
-  }
+async function handleGetActiveTab() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  return { tab };
 }
 
 // Migrate settings between versions
@@ -181,11 +331,42 @@ async function migrateSettings(fromVersion, toVersion) {
   // Merge with defaults to ensure all properties exist
   preferences = { ...DEFAULT_PREFERENCES, ...preferences };
 
+  // Upgrade stored custom palettes to the current theme format; theme CSS that
+  // older versions kept in the synced palettes moves to local storage
+  const { palettes, css } = OwlRetroPalette.splitPaletteCSS(await upgradeCustomPalettes());
+
   // Save updated preferences
   await chrome.storage.sync.set({
     owl_preferences: preferences,
+    owl_custom_palettes: palettes,
     owl_version: toVersion
   });
+  await chrome.storage.local.set({ owl_palette_css: css });
+}
+
+// Run every stored palette through the theme file upgrader, dropping any that can't be read
+async function upgradeCustomPalettes() {
+  const result = await chrome.storage.sync.get('owl_custom_palettes');
+  const cssResult = await chrome.storage.local.get('owl_palette_css');
+  const stored = OwlRetroPalette.joinPaletteCSS(result.owl_custom_palettes || {}, cssResult.owl_palette_css || {});
+  const upgraded = {};
+
+  for (const [id, palette] of Object.entries(stored)) {
+    try {
+      // Stored palettes carry no header, so they upgrade from version 0
+      const theme = OwlRetroThemeFormat.upgradeTheme(palette);
+      const errors = OwlRetroThemeFormat.validateTheme(theme);
+      if (errors.length > 0) {
+        console.warn(`Dropping invalid palette "${id}":`, errors);
+        continue;
+      }
+      upgraded[id] = OwlRetroThemeFormat.themeToPalette(theme);
+    } catch (error) {
+      console.warn(`Failed to upgrade palette "${id}":`, error);
+    }
+  }
+
+  return upgraded;
 }
 
 // Set up periodic cache cleanup (every 24 hours)
@@ -230,6 +411,146 @@ if (typeof chrome !== 'undefined' && chrome.alarms) {
   });
 }
 
+// Compiled theme stylesheets by key (see theme-css.js). Kept in memory and in
+// chrome.storage.session so a restarted worker doesn't read the CSS files again;
+// session storage is cleared when the extension updates, so stale CSS can't survive.
+const THEME_CSS_SESSION_KEY = 'owl_theme_css';
+const themeStylesheets = new Map();
+
+function readExtensionFile(path) {
+  return fetch(chrome.runtime.getURL(path)).then(response => response.text());
+}
+
+// Get a compiled stylesheet, compiling it on first use
+function getThemeStylesheet(key) {
+  if (!themeStylesheets.has(key)) {
+    const compiled = loadSessionStylesheet(key).then(async (cached) => {
+      if (cached) return cached;
+      const css = await OwlRetroThemeCSS.compileStylesheet(key, readExtensionFile);
+      await saveSessionStylesheet(key, css);
+      return css;
+    });
+
+    // Don't cache failures, so the next request tries again
+    compiled.catch(() => themeStylesheets.delete(key));
+    themeStylesheets.set(key, compiled);
+  }
+  return themeStylesheets.get(key);
+}
+
+async function loadSessionStylesheet(key) {
+  if (!chrome.storage.session) return null;
+  try {
+    const result = await chrome.storage.session.get(THEME_CSS_SESSION_KEY);
+    return (result[THEME_CSS_SESSION_KEY] || {})[key] || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function saveSessionStylesheet(key, css) {
+  if (chrome.storage.session) {
+    try {
+      const result = await chrome.storage.session.get(THEME_CSS_SESSION_KEY);
+      const stylesheets = { ...(result[THEME_CSS_SESSION_KEY] || {}), [key]: css };
+      await chrome.storage.session.set({ [THEME_CSS_SESSION_KEY]: stylesheets });
+    } catch (error) {
+      console.warn('Failed to cache theme stylesheet:', error);
+    }
+  }
+}
+
+// Compile the stylesheets the current preferences will ask for before any page does
+async function precompileThemeStylesheets(preferences) {
+  try {
+    if (!preferences) {
+      const result = await chrome.storage.sync.get('owl_preferences');
+      preferences = result.owl_preferences || DEFAULT_PREFERENCES;
+    }
+    await Promise.all(OwlRetroThemeCSS.getStylesheetKeys(preferences).map(getThemeStylesheet));
+  } catch (error) {
+    console.error('Failed to precompile theme stylesheets:', error);
+  }
+}
+
+// Send a compiled theme stylesheet to a content script
+async function handleGetThemeCSS({ key }) {
+  return { css: await getThemeStylesheet(key) };
+}
+
+// Relay a child frame's question to the top frame of its tab. Fails when the top
+// frame has no content script (blocked page, browser page, PDF viewer)
+async function handleGetTopFrameState(message, sender) {
+  if (!sender.tab) throw new Error('Not sent from a tab');
+
+  const response = await OwlRetroMessages.sendToTab(sender.tab.id, ACTIONS.GET_FRAME_STATE, {}, { frameId: 0 });
+  if (!response || !response.success) {
+    throw new Error((response && response.error) || 'No response from the top frame');
+  }
+  return { state: response.state };
+}
+
+// Pass the top frame's new state on to the other frames of its tab
+async function handleFrameStateChanged({ state }, sender) {
+  if (!sender.tab || sender.frameId !== 0) throw new Error('Only the top frame reports frame state');
+
+  await OwlRetroMessages.sendToTab(sender.tab.id, ACTIONS.TOP_FRAME_STATE_CHANGED, { state }).catch(() => {
+    // Frames without a content script
+  });
+}
+
+// Schedule mode: flip the effective mode at each light/dark boundary
+const SCHEDULE_ALARM = 'modeSchedule';
+
+// Check if the global mode or any site override uses the schedule
+function usesSchedule(preferences) {
+  if (preferences.mode === 'schedule') return true;
+  return Object.values(preferences.siteOverrides || {}).some(override => override.mode === 'schedule');
+}
+
+// Set an alarm for the next boundary, or clear it when nothing uses the schedule
+async function updateScheduleAlarm() {
+  const result = await chrome.storage.sync.get('owl_preferences');
+  const preferences = result.owl_preferences || DEFAULT_PREFERENCES;
+
+  await chrome.alarms.clear(SCHEDULE_ALARM);
+  if (!usesSchedule(preferences)) return;
+
+  // Polar day/night has no boundary, so check again tomorrow
+  const next = OwlRetroSchedule.getNextBoundary(preferences.schedule);
+  const when = next ? next.getTime() : Date.now() + 24 * 60 * 60 * 1000;
+  chrome.alarms.create(SCHEDULE_ALARM, { when });
+}
+
+// Tell every tab which mode the schedule asks for now
+async function broadcastScheduledMode() {
+  const result = await chrome.storage.sync.get('owl_preferences');
+  const preferences = result.owl_preferences || DEFAULT_PREFERENCES;
+  const mode = OwlRetroSchedule.getScheduledMode(preferences.schedule);
+
+  const tabs = await chrome.tabs.query({});
+  tabs.forEach(tab => {
+    // Only send to valid web pages
+    if (tab.url && (tab.url.startsWith('http://') || tab.url.startsWith('https://'))) {
+      OwlRetroMessages.sendToTab(tab.id, ACTIONS.SCHEDULED_MODE_CHANGED, { mode }).catch(() => {
+        // Ignore errors for tabs without content script
+      });
+    }
+  });
+}
+
+if (typeof chrome !== 'undefined' && chrome.alarms) {
+  chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === SCHEDULE_ALARM) {
+      broadcastScheduledMode()
+        .then(updateScheduleAlarm)
+        .catch((error) => {
+          console.error('Scheduled mode switch failed:', error);
+        });
+    }
+  });
+}
+
 // Listen for tab updates to inject content script if needed
 // Note: Tab update listener is not available in the BrowserAPI abstraction
 // This functionality is handled by the manifest content_scripts configuration
\ No newline at end of file
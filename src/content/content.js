@@ -8,10 +8,50 @@
 
   // State management
   let currentMode = 'light';
+  let preferredMode = 'auto';
+  let currentThemeStyle = 'full';
   let currentIntensity = 0.8;
   let isEnabled = true;
   let useMonospace = true;
+  let currentFont = { font: null, fontScope: 'all', fontScale: 1, lineHeightScale: 1 };
+  let currentImageTreatment = 'none';
   let preferences = null;
+  let originalColors = null;
+  let customPalettes = {};
+  let syncedPalettes = {};
+  let paletteCSS = {};
+  let themingStarted = false;
+  let elementRules = [];
+  let elementRulesObserver = null;
+  let lastContextElement = null;
+  let siteCSS = {};
+  let deepRecolorModule = null;
+  let deepRecolorKey = null;
+  let reducedMotionModule = null;
+  let stopMotionMonitor = null;
+  let themedPaintMeasured = false;
+  let currentFramePolicy = 'follow';
+  let pageAllowed = false;
+
+  // Child frames follow the top frame's effective state, reported through the service worker
+  const isTopFrame = window === window.top;
+  let topFrameState = null;
+  let reportedFrameState = null;
+
+  // Resolved once the top frame knows whether it is themed, for child frames that ask early
+  let resolveFrameState;
+  const frameStateReady = new Promise(resolve => {
+    resolveFrameState = resolve;
+  });
+
+  // Theme stylesheets in #owl-retro-theme-styles, and ones still on their way
+  const loadedStylesheets = new Set();
+  const pendingStylesheets = new Map();
+
+  const { ACTIONS } = window.OwlRetroMessages;
+
+  // CRT effects in retro-effects.css, each enabled by an owl-crt-<name> class
+  const CRT_EFFECTS = ['scanlines', 'vignette', 'glow', 'cursor'];
 
   /**
    * Determine theme mode (auto detection)
@@ -23,6 +63,53 @@
     return 'light';
   }
 
+  /**
+   * Resolve a preferred mode (light, dark, auto, schedule) to light or dark
+   */
+  function resolveMode(mode) {
+    if (mode === 'auto') {
+      return detectSystemTheme();
+    }
+    if (mode === 'schedule') {
+      return window.OwlRetroSchedule.getScheduledMode(preferences && preferences.schedule);
+    }
+    return mode;
+  }
+
+  /**
+   * Update state from preferences, resolving global -> site -> path overrides
+   */
+  function updateStateFromPreferences() {
+    const { settings } = window.OwlRetroSiteRules.resolveSiteSettings(preferences, window.location.href);
+
+    isEnabled = preferences.enabled;
+    preferredMode = settings.mode || 'auto';
+    currentThemeStyle = settings.themeStyle || 'full';
+    useMonospace = settings.useMonospace;
+    currentFont = {
+      font: settings.font,
+      fontScope: settings.fontScope || 'all',
+      fontScale: settings.fontScale,
+      lineHeightScale: settings.lineHeightScale
+    };
+    currentIntensity = settings.intensity;
+    currentImageTreatment = settings.imageTreatment || 'none';
+    currentFramePolicy = settings.framePolicy || 'follow';
+
+    // Auto-detect or look up the schedule when needed
+    currentMode = resolveMode(preferredMode);
+
+    // Frames look like the page around them
+    if (!isTopFrame && topFrameState) {
+      currentMode = topFrameState.mode;
+      currentThemeStyle = topFrameState.themeStyle;
+      useMonospace = topFrameState.useMonospace;
+      currentFont = topFrameState.font || currentFont;
+      currentIntensity = topFrameState.intensity;
+      currentImageTreatment = topFrameState.imageTreatment;
+    }
+  }
+
   /**
    * Load preferences from storage (2024-2025 enhanced)
    */
@@ -40,103 +127,702 @@
     }
   }
 
+  /**
+   * Load user-defined palettes from storage
+   */
+  async function loadCustomPalettes() {
+    try {
+      const storageAPI = (typeof window !== 'undefined' && window.OwlRetroBrowserAPI && window.OwlRetroBrowserAPI.storage) ?
+        window.OwlRetroBrowserAPI.storage : chrome.storage;
+
+      const result = await storageAPI.sync.get('owl_custom_palettes');
+      return result.owl_custom_palettes || {};
+    } catch (error) {
+      console.error('Failed to load custom palettes:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Load element rules recorded for this site
+   */
+  async function loadElementRules() {
+    try {
+      const storageAPI = (typeof window !== 'undefined' && window.OwlRetroBrowserAPI && window.OwlRetroBrowserAPI.storage) ?
+        window.OwlRetroBrowserAPI.storage : chrome.storage;
+
+      const result = await storageAPI.local.get('owl_element_rules');
+      const allRules = result.owl_element_rules || {};
+      return allRules[window.location.hostname] || [];
+    } catch (error) {
+      console.error('Failed to load element rules:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Load custom palettes' theme CSS, kept in local storage by palette id
+   */
+  async function loadPaletteCSS() {
+    try {
+      const storageAPI = (typeof window !== 'undefined' && window.OwlRetroBrowserAPI && window.OwlRetroBrowserAPI.storage) ?
+        window.OwlRetroBrowserAPI.storage : chrome.storage;
+
+      const result = await storageAPI.local.get('owl_palette_css');
+      return result.owl_palette_css || {};
+    } catch (error) {
+      console.error('Failed to load palette CSS:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Load the user's site CSS snippets, keyed by site rule
+   */
+  async function loadSiteCSS() {
+    try {
+      const storageAPI = (typeof window !== 'undefined' && window.OwlRetroBrowserAPI && window.OwlRetroBrowserAPI.storage) ?
+        window.OwlRetroBrowserAPI.storage : chrome.storage;
+
+      const result = await storageAPI.local.get('owl_site_css');
+      return result.owl_site_css || {};
+    } catch (error) {
+      console.error('Failed to load site CSS:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Inject the snippets matching this page after the theme styles, or remove them when none match
+   */
+  function applySiteCSS() {
+    const userCSSAPI = window.OwlRetroUserCSS;
+    if (!userCSSAPI || !window.OwlRetroSiteRules) return;
+
+    // Site snippets first, then path snippets, so the more specific one wins ties
+    const css = window.OwlRetroSiteRules.findMatchingOverrides(siteCSS, window.location.href)
+      .map(key => {
+        try {
+          return userCSSAPI.compileSnippet(siteCSS[key]);
+        } catch (error) {
+          console.warn('Owl Retro: Could not apply site CSS for', key, error);
+          return '';
+        }
+      })
+      .filter(Boolean)
+      .join('\n');
+
+    let style = document.getElementById('owl-retro-site-css');
+    if (!css) {
+      if (style) style.remove();
+      return;
+    }
+
+    if (!style) {
+      style = document.createElement('style');
+      style.id = 'owl-retro-site-css';
+      // Appended last, after the theme and token styles
+      (document.head || document.documentElement).appendChild(style);
+    }
+    if (style.textContent !== css) {
+      style.textContent = css;
+    }
+  }
+
+  /**
+   * Replace element rules for this site: drop `removed`, then add `added` (if any)
+   */
+  async function updateElementRules(removed, added) {
+    const result = await chrome.storage.local.get('owl_element_rules');
+    const allRules = result.owl_element_rules || {};
+    const hostname = window.location.hostname;
+
+    const siteRules = (allRules[hostname] || []).filter(existing =>
+      !removed.some(rule => rule.selector === existing.selector) &&
+      !(added && existing.selector === added.selector)
+    );
+    allRules[hostname] = added ? [...siteRules, added] : siteRules;
+    if (allRules[hostname].length === 0) {
+      delete allRules[hostname];
+    }
+
+    await chrome.storage.local.set({ owl_element_rules: allRules });
+    refreshElementRules(allRules);
+  }
+
+  /**
+   * Mark elements matched by this site's element rules, now and as the page changes
+   */
+  function applyElementRules() {
+    const rulesAPI = window.OwlRetroElementRules;
+    if (!rulesAPI || elementRules.length === 0) return;
+
+    // Theme rules only learn to skip elements once the site has exclude/keep rules
+    if (elementRules.some(rule => rule.action === 'skip' || rule.action === 'keep')) {
+      const themeStyle = document.getElementById('owl-retro-theme-styles');
+      rulesAPI.guardStylesheet(themeStyle && themeStyle.sheet);
+    }
+    rulesAPI.applyElementRules(elementRules);
+
+    // Widgets such as charts and editors often render after load
+    if (!elementRulesObserver && document.body) {
+      let pending = false;
+      elementRulesObserver = new MutationObserver(() => {
+        if (pending) return;
+        pending = true;
+        setTimeout(() => {
+          pending = false;
+          rulesAPI.applyElementRules(elementRules);
+        }, 200);
+      });
+      elementRulesObserver.observe(document.body, { childList: true, subtree: true });
+    }
+  }
+
+  /**
+   * Re-mark elements after rules were edited elsewhere
+   */
+  function refreshElementRules(allRules) {
+    elementRules = (allRules || {})[window.location.hostname] || [];
+
+    Object.values(window.OwlRetroElementRules.ACTION_CLASSES).forEach(className => {
+      document.querySelectorAll(`.${className}`).forEach(element => element.classList.remove(className));
+    });
+    applyElementRules();
+  }
+
+  /**
+   * Exclude the element last right-clicked (context menu "Exclude this element")
+   */
+  async function excludeContextElement() {
+    if (!lastContextElement || !lastContextElement.isConnected) {
+      throw new Error('No element to exclude');
+    }
+
+    const selector = window.OwlRetroElementRules.buildSelector(lastContextElement);
+    await updateElementRules([], { selector, action: 'skip' });
+
+    return { selector };
+  }
+
+  /**
+   * Start the element picker (popup "Pick Element")
+   */
+  function startElementPicker() {
+    const rulesAPI = window.OwlRetroElementRules;
+
+    window.OwlRetroElementPicker.start({
+      getRulesForElement: (element) => rulesAPI.findRulesForElement(elementRules, element),
+      onPick: ({ selector, action, rules }) => {
+        // A new rule replaces whatever rules matched the element before
+        const element = document.querySelector(selector);
+        const previous = rules || (element ? rulesAPI.findRulesForElement(elementRules, element) : []);
+        const added = action ? { selector, action } : null;
+
+        updateElementRules(previous, added).catch(error => {
+          console.error('Failed to save element rule:', error);
+        });
+      }
+    });
+  }
+
   /**
    * Check if current site is allowed
    */
   async function isSiteAllowed() {
-    const hostname = window.location.hostname;
-    
-    if (!preferences) return true;
-    
-    // Check blocklist first
-    if (preferences.siteBlocklist && preferences.siteBlocklist.includes(hostname)) {
-      return false;
+    if (!preferences) {
+      pageAllowed = isFrameAllowed();
+      return pageAllowed;
     }
     
-    // Check allowlist if it exists
-    if (preferences.siteAllowlist && preferences.siteAllowlist.length > 0) {
-      return preferences.siteAllowlist.includes(hostname);
+    // Hostname, wildcard, path prefix and regex rules
+    pageAllowed = isFrameAllowed() && window.OwlRetroSiteRules.isSiteAllowed(preferences, window.location.href);
+    return pageAllowed;
+  }
+
+  /**
+   * Check the top frame's frame policy: child frames are only themed inside a themed page
+   */
+  function isFrameAllowed() {
+    if (isTopFrame) return true;
+    if (!topFrameState || !topFrameState.themed) return false;
+
+    switch (topFrameState.framePolicy) {
+      case 'none':
+        return false;
+      case 'same-origin':
+        return topFrameState.origin === window.location.origin;
+      default:
+        return true;
     }
-    
-    return true;
   }
 
   /**
-   * Load CSS files (2024-2025 enhanced)
+   * What child frames need to know about the top frame
+   */
+  function getFrameState() {
+    return {
+      themed: Boolean(isEnabled && pageAllowed),
+      origin: window.location.origin,
+      framePolicy: currentFramePolicy,
+      mode: currentMode,
+      themeStyle: currentThemeStyle,
+      useMonospace: useMonospace,
+      font: currentFont,
+      intensity: currentIntensity,
+      imageTreatment: currentImageTreatment
+    };
+  }
+
+  /**
+   * Ask the top frame (through the service worker) for its state; null when it isn't running
    */
-  async function loadThemeCSS() {
+  async function requestTopFrameState() {
     try {
-      // Use enhanced browser compatibility layer with modern Promise-based APIs
-      const runtimeAPI = (typeof window !== 'undefined' && window.OwlRetroBrowserAPI && window.OwlRetroBrowserAPI.runtime) ?
-        window.OwlRetroBrowserAPI.runtime : chrome.runtime;
-
-      const lightCSS = runtimeAPI.getURL('src/styles/retro-light.css');
-      const darkCSS = runtimeAPI.getURL('src/styles/retro-dark.css');
-      const minimalCSS = runtimeAPI.getURL('src/styles/retro-minimal.css');
-      const whiteSpaceDetectorCSS = runtimeAPI.getURL('src/styles/white-space-detector.css');
-      const darkSpaceDetectorCSS = runtimeAPI.getURL('src/styles/dark-space-detector.css');
-
-      const [lightResponse, darkResponse, minimalResponse, whiteSpaceResponse, darkSpaceResponse] = await Promise.all([
-        fetch(lightCSS),
-        fetch(darkCSS),
-        fetch(minimalCSS),
-        fetch(whiteSpaceDetectorCSS),
-        fetch(darkSpaceDetectorCSS)
-      ]);
-
-      const [lightText, darkText, minimalText, whiteSpaceText, darkSpaceText] = await Promise.all([
-        lightResponse.text(),
-        darkResponse.text(),
-        minimalResponse.text(),
-        whiteSpaceResponse.text(),
-        darkSpaceResponse.text()
-      ]);
-
-      // Inject all stylesheets with enhanced error handling
-      const style = document.createElement('style');
-      style.id = 'owl-retro-theme-styles';
-      style.textContent = lightText + '\n' + darkText + '\n' + minimalText + '\n' + whiteSpaceText + '\n' + darkSpaceText;
-
-      // Enhanced DOM insertion with fallback
-      const targetElement = document.head || document.documentElement;
-      if (targetElement) {
-        targetElement.appendChild(style);
+      const response = await window.OwlRetroMessages.sendToRuntime(ACTIONS.GET_TOP_FRAME_STATE);
+      return response && response.success ? response.state : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Tell child frames when the top frame's state changed
+   */
+  function reportFrameState() {
+    if (!isTopFrame || window.frames.length === 0) return;
+
+    const state = getFrameState();
+    const key = JSON.stringify(state);
+    if (key === reportedFrameState) return;
+    reportedFrameState = key;
+
+    window.OwlRetroMessages.sendToRuntime(ACTIONS.FRAME_STATE_CHANGED, { state }).catch(() => {
+      // Service worker unavailable; frames keep their last state
+    });
+  }
+
+  /**
+   * Child frames: re-theme or un-theme after the top frame changed
+   */
+  async function refreshFrame() {
+    if (!preferences) return;
+
+    updateStateFromPreferences();
+    const allowed = await isSiteAllowed();
+    if (isEnabled && allowed) {
+      if (!themingStarted) {
+        startTheming();
       } else {
-        console.warn('Could not find suitable element to inject styles, creating new style element');
-        document.body ? document.body.appendChild(style) : document.documentElement.appendChild(style);
+        applyTheme();
       }
+    } else {
+      removeTheme();
+    }
+  }
 
-      return true;
+  /**
+   * Message handlers (see messages.js). Listened to from the start so frames can
+   * coordinate before theming; startTheming adds themingHandlers.
+   */
+  const messageHandlers = {
+    // Asked of the top frame only (frameId 0)
+    [ACTIONS.GET_FRAME_STATE]: async () => {
+      await frameStateReady;
+      return { state: getFrameState() };
+    },
+
+    [ACTIONS.TOP_FRAME_STATE_CHANGED]: ({ state }) => {
+      if (isTopFrame) return;
+      topFrameState = state;
+      refreshFrame();
+    }
+  };
+
+  /**
+   * Theme stylesheet key (see theme-css.js) for the current mode and style
+   */
+  function getThemeCSSKey() {
+    return window.OwlRetroThemeCSS.getStylesheetKey(currentMode, currentThemeStyle);
+  }
+
+  function hasThemeCSS() {
+    return loadedStylesheets.has(getThemeCSSKey());
+  }
+
+  /**
+   * Get a compiled theme stylesheet from the service worker, which builds each one once.
+   * Falls back to reading the files here when the worker can't answer.
+   */
+  async function requestThemeCSS(key) {
+    try {
+      const response = await window.OwlRetroMessages.sendToRuntime(ACTIONS.GET_THEME_CSS, { key });
+      if (response && response.success) {
+        return response.css;
+      }
     } catch (error) {
-      console.error('Failed to load theme CSS:', error);
-      return false;
+      console.warn('Owl Retro: Theme stylesheet not available from the service worker', error);
+    }
+
+    // Use enhanced browser compatibility layer with modern Promise-based APIs
+    const runtimeAPI = (typeof window !== 'undefined' && window.OwlRetroBrowserAPI && window.OwlRetroBrowserAPI.runtime) ?
+      window.OwlRetroBrowserAPI.runtime : chrome.runtime;
+
+    return window.OwlRetroThemeCSS.compileStylesheet(key, path =>
+      fetch(runtimeAPI.getURL(path)).then(response => response.text())
+    );
+  }
+
+  /**
+   * Add the stylesheet for the current mode and style to #owl-retro-theme-styles.
+   * Earlier ones stay, so switching back to a mode doesn't wait for the worker again.
+   */
+  function loadThemeCSS() {
+    const key = getThemeCSSKey();
+    if (loadedStylesheets.has(key)) return Promise.resolve(true);
+
+    if (!pendingStylesheets.has(key)) {
+      const loading = requestThemeCSS(key)
+        .then(css => {
+          let style = document.getElementById('owl-retro-theme-styles');
+          if (!style) {
+            style = document.createElement('style');
+            style.id = 'owl-retro-theme-styles';
+
+            // Enhanced DOM insertion with fallback
+            const targetElement = document.head || document.documentElement;
+            if (targetElement) {
+              targetElement.appendChild(style);
+            } else {
+              console.warn('Could not find suitable element to inject styles, creating new style element');
+              document.body ? document.body.appendChild(style) : document.documentElement.appendChild(style);
+            }
+          }
+          style.textContent = style.textContent ? `${style.textContent}\n${css}` : css;
+          loadedStylesheets.add(key);
+
+          // The page's sheet was replaced; shadow roots need theirs rebuilt from it
+          if (window.OwlRetroShadowTheming) {
+            window.OwlRetroShadowTheming.clear();
+          }
+          return true;
+        })
+        .catch(error => {
+          console.error('Failed to load theme CSS:', error);
+          return false;
+        })
+        .finally(() => pendingStylesheets.delete(key));
+
+      pendingStylesheets.set(key, loading);
+    }
+    return pendingStylesheets.get(key);
+  }
+
+  /**
+   * Inject --owl-* token overrides blended by the current intensity
+   */
+  function applyPaletteTokens() {
+    const paletteAPI = window.OwlRetroPalette;
+    if (!paletteAPI) return;
+
+    let style = document.getElementById('owl-retro-token-styles');
+    if (!style) {
+      style = document.createElement('style');
+      style.id = 'owl-retro-token-styles';
+      (document.head || document.documentElement).appendChild(style);
+    }
+
+    const palette = paletteAPI.resolvePalette(preferences && preferences.palette, customPalettes);
+    const tokens = currentMode === 'dark' ? palette.dark : palette.light;
+    const tokenCSS = [
+      paletteAPI.buildTokenCSS(currentMode, currentIntensity, originalColors, tokens),
+      // Regions forced light or dark with the element picker
+      paletteAPI.buildForcedModeCSS('light', currentIntensity, originalColors, palette.light),
+      paletteAPI.buildForcedModeCSS('dark', currentIntensity, originalColors, palette.dark)
+    ].join('\n');
+
+    // Imported themes may carry extra CSS of their own, scoped and resolved like site CSS
+    let themeCSS = '';
+    if (palette.css && window.OwlRetroUserCSS) {
+      try {
+        themeCSS = window.OwlRetroUserCSS.compileSnippet(palette.css);
+      } catch (error) {
+        console.warn('Owl Retro: Could not apply theme CSS', error);
+      }
+    }
+    style.textContent = themeCSS ? tokenCSS + '\n' + themeCSS : tokenCSS;
+  }
+
+  /**
+   * Inject the chosen font's @font-face and sizing, read by the html.owl-font rules
+   */
+  function applyFontStyles() {
+    const fontsAPI = window.OwlRetroFonts;
+    if (!fontsAPI) return;
+
+    let style = document.getElementById('owl-retro-font-styles');
+    if (!style) {
+      style = document.createElement('style');
+      style.id = 'owl-retro-font-styles';
+      (document.head || document.documentElement).appendChild(style);
+    }
+
+    // An imported theme's font wins over the picker's, unless the theme keeps the default
+    const palette = window.OwlRetroPalette &&
+      window.OwlRetroPalette.resolvePalette(preferences && preferences.palette, customPalettes);
+    const themeFont = palette && palette.font && palette.font !== 'default' ? palette.font : null;
+
+    style.textContent = fontsAPI.buildFontCSS(themeFont || currentFont.font, {
+      fontScale: currentFont.fontScale,
+      lineHeightScale: currentFont.lineHeightScale,
+      getURL: path => chrome.runtime.getURL(path)
+    });
+  }
+
+  /**
+   * Bring shadow roots' copy of the theme in line with the current mode and style
+   */
+  function updateShadowTheming() {
+    const themeStyle = document.getElementById('owl-retro-theme-styles');
+    if (window.OwlRetroShadowTheming && themeStyle) {
+      window.OwlRetroShadowTheming.update(themeStyle.sheet);
+    }
+  }
+
+  /**
+   * Filter images and videos with the selected treatment, using the current palette
+   */
+  function applyImageTreatment() {
+    const imageAPI = window.OwlRetroImageTreatment;
+    if (!imageAPI || !window.OwlRetroPalette) return;
+
+    // The performance style skips effects, and SVG filters are among the most expensive
+    const treatment = currentThemeStyle === 'performance' ? 'none' : currentImageTreatment;
+    const palette = window.OwlRetroPalette.resolvePalette(preferences && preferences.palette, customPalettes);
+
+    imageAPI.apply({
+      treatment,
+      minSize: preferences && preferences.imageMinSize,
+      tokens: currentMode === 'dark' ? palette.dark : palette.light
+    });
+  }
+
+  /**
+   * Import the reduced motion helpers (an ES module) the first time they're needed
+   */
+  function loadReducedMotion() {
+    if (!reducedMotionModule) {
+      reducedMotionModule = import(chrome.runtime.getURL('src/utils/accessibility/reduced-motion.js')).catch(error => {
+        reducedMotionModule = null;
+        throw error;
+      });
+    }
+    return reducedMotionModule;
+  }
+
+  /**
+   * Toggle the CRT effect classes and write their strengths.
+   * Effects belong to the full style only, and are all off when the user prefers reduced motion.
+   */
+  function setCRTEffects(reducedMotion) {
+    const html = document.documentElement;
+    const themed = html.classList.contains('owl-retro');
+    const effects = (preferences && preferences.crtEffects) || {};
+    const allowed = themed && !reducedMotion && currentThemeStyle === 'full';
+
+    const strengths = [];
+    CRT_EFFECTS.forEach(name => {
+      const effect = effects[name];
+      const enabled = Boolean(allowed && effect && effect.enabled);
+      html.classList.toggle(`owl-crt-${name}`, enabled);
+      if (enabled) {
+        strengths.push(`  --owl-crt-${name}: ${Math.min(Math.max(Number(effect.strength) || 0, 0), 1)};`);
+      }
+    });
+
+    // The cursor effect applies to inputs inside shadow roots too
+    if (themed) updateShadowTheming();
+
+    let style = document.getElementById('owl-retro-effect-styles');
+    if (strengths.length === 0) {
+      if (style) style.remove();
+      return;
+    }
+    if (!style) {
+      style = document.createElement('style');
+      style.id = 'owl-retro-effect-styles';
+      (document.head || document.documentElement).appendChild(style);
     }
+    style.textContent = `html.owl-retro {\n${strengths.join('\n')}\n}`;
+  }
+
+  /**
+   * Apply CRT effects once the reduced motion preference is known, and follow later changes to it
+   */
+  function updateCRTEffects() {
+    loadReducedMotion()
+      .then(motion => {
+        if (!stopMotionMonitor) {
+          stopMotionMonitor = motion.monitorMotionPreference(() => setCRTEffects(motion.prefersReducedMotion()));
+        }
+        setCRTEffects(motion.prefersReducedMotion());
+      })
+      .catch(error => {
+        // Without the module we can't tell, so err on the side of no motion
+        console.warn('Owl Retro: Could not load reduced motion support', error);
+        setCRTEffects(true);
+      });
+  }
+
+  /**
+   * Import the deep recolor pipeline (ES modules) the first time it's needed
+   */
+  function loadDeepRecolor() {
+    if (!deepRecolorModule) {
+      deepRecolorModule = import(chrome.runtime.getURL('src/content/deep-recolor.js')).catch(error => {
+        deepRecolorModule = null;
+        throw error;
+      });
+    }
+    return deepRecolorModule;
+  }
+
+  /**
+   * Start, redo or stop deep recolor to match preferences, mode, intensity and palette
+   */
+  function updateDeepRecolor() {
+    const enabled = Boolean(preferences && preferences.deepRecolor);
+    if (!enabled && !deepRecolorKey) return;
+
+    // Map toward the active palette's tokens for the mode
+    const resolved = window.OwlRetroPalette.resolvePalette(preferences && preferences.palette, customPalettes);
+    const palette = currentMode === 'dark' ? resolved.dark : resolved.light;
+
+    // Patches are mapped for one mode, intensity, algorithm and palette; redo them when any changes
+    const mapping = (preferences && preferences.colorMapping) || 'perceptual';
+    const key = enabled
+      ? `${currentMode}|${currentIntensity}|${mapping}|${JSON.stringify(palette)}`
+      : null;
+    const reset = Boolean(deepRecolorKey) && key !== deepRecolorKey;
+    deepRecolorKey = key;
+
+    loadDeepRecolor()
+      .then(deepRecolor => enabled
+        ? deepRecolor.runDeepRecolor(currentMode, currentIntensity, { mapping, palette, reset })
+        : deepRecolor.stopDeepRecolor())
+      .catch(error => console.warn('Owl Retro: Deep recolor failed', error));
   }
 
   /**
    * Apply theme to page
    */
   function applyTheme() {
-    if (!isEnabled) return;
+    if (!isEnabled || !isFrameAllowed()) return;
+
+    // Keep the current look until the stylesheet for a new mode or style has arrived
+    if (!hasThemeCSS()) {
+      loadThemeCSS().then(loaded => loaded && applyTheme());
+      return;
+    }
     
     const html = document.documentElement;
     
+    // Capture the site's own colors while they are still unthemed
+    if (!html.classList.contains('owl-retro') && document.body && window.OwlRetroPalette) {
+      originalColors = window.OwlRetroPalette.captureOriginalColors();
+    }
+
+    applyPaletteTokens();
+    applySiteCSS();
+
     // Remove existing theme classes
-    html.classList.remove('owl-retro-light', 'owl-retro-dark');
+    html.classList.remove(
+      'owl-retro-light', 'owl-retro-dark',
+      'owl-retro-minimal-light', 'owl-retro-minimal-dark',
+      'owl-retro-performance'
+    );
     
-    // Apply theme class
-    const themeClass = currentMode === 'dark' ? 'owl-retro-dark' : 'owl-retro-light';
+    // Apply theme class for the selected style
+    let themeClass;
+    if (currentThemeStyle === 'minimal') {
+      themeClass = currentMode === 'dark' ? 'owl-retro-minimal-dark' : 'owl-retro-minimal-light';
+    } else if (currentThemeStyle === 'performance') {
+      themeClass = 'owl-retro-performance';
+    } else {
+      themeClass = currentMode === 'dark' ? 'owl-retro-dark' : 'owl-retro-light';
+    }
     html.classList.add('owl-retro', themeClass);
+    measureThemedPaint();
+    updateEarlyPaint();
+
+    applyElementRules();
     
-    // Apply monospace font
-    if (useMonospace) {
-      html.classList.add('owl-font');
-    } else {
-      html.classList.remove('owl-font');
+    // Apply the retro font, to all text or headings only
+    const headingsOnly = currentFont.fontScope === 'headings';
+    html.classList.toggle('owl-font', useMonospace && !headingsOnly);
+    html.classList.toggle('owl-font-headings', useMonospace && headingsOnly);
+    applyFontStyles();
+
+    // Icons drawn with icon fonts keep their font; only needed when all text is retro-fonted
+    const fontSafety = window.OwlRetroFontSafety;
+    if (fontSafety) {
+      if (useMonospace && !headingsOnly) {
+        fontSafety.start(window.location.hostname);
+      } else {
+        fontSafety.stop();
+      }
     }
     
     // Set attribute for tracking
     html.setAttribute('data-owl-theme', currentMode);
+
+    applyImageTreatment();
+    updateCRTEffects();
+    updateShadowTheming();
+    updateDeepRecolor();
+    reportFrameState();
+  }
+
+  /**
+   * Record the time from navigation start to the first themed frame
+   * ("owl-retro:themed-paint" in the DevTools Performance panel; logged with owl_debug on)
+   */
+  function measureThemedPaint() {
+    if (themedPaintMeasured || !window.performance || !performance.measure) return;
+    themedPaintMeasured = true;
+
+    requestAnimationFrame(() => {
+      const measure = performance.measure('owl-retro:themed-paint');
+      if (measure && window.OwlRetroMessages.isDebug()) {
+        console.log(`Owl Retro: Themed paint after ${Math.round(measure.duration)}ms`);
+      }
+    });
+  }
+
+  /**
+   * Hand over from the early paint colors to the full theme, and cache the
+   * colors it produced for this origin's next load
+   */
+  function updateEarlyPaint() {
+    const earlyPaint = window.OwlRetroEarlyPaint;
+    if (!isTopFrame || !earlyPaint) return;
+
+    earlyPaint.remove();
+    requestAnimationFrame(() => {
+      if (document.documentElement.classList.contains('owl-retro')) {
+        earlyPaint.remember(currentMode);
+      }
+    });
+  }
+
+  /**
+   * Undo the early paint when this page won't be themed
+   */
+  function rollBackEarlyPaint() {
+    // Frames share the top frame's storage; only it owns the cached colors
+    if (isTopFrame && window.OwlRetroEarlyPaint) {
+      window.OwlRetroEarlyPaint.forget();
+    }
   }
 
   /**
@@ -144,8 +830,55 @@
    */
   function removeTheme() {
     const html = document.documentElement;
-    html.classList.remove('owl-retro', 'owl-retro-light', 'owl-retro-dark', 'owl-font');
+    html.classList.remove(
+      'owl-retro', 'owl-retro-light', 'owl-retro-dark',
+      'owl-retro-minimal-light', 'owl-retro-minimal-dark', 'owl-retro-performance',
+      'owl-font', 'owl-font-headings'
+    );
     html.removeAttribute('data-owl-theme');
+    setCRTEffects(true);
+    rollBackEarlyPaint();
+
+    const fontStyle = document.getElementById('owl-retro-font-styles');
+    if (fontStyle) {
+      fontStyle.remove();
+    }
+    if (window.OwlRetroFontSafety) {
+      window.OwlRetroFontSafety.stop();
+    }
+    if (window.OwlRetroShadowTheming) {
+      window.OwlRetroShadowTheming.clear();
+    }
+
+    const tokenStyle = document.getElementById('owl-retro-token-styles');
+    if (tokenStyle) {
+      tokenStyle.remove();
+    }
+
+    const siteCSSStyle = document.getElementById('owl-retro-site-css');
+    if (siteCSSStyle) {
+      siteCSSStyle.remove();
+    }
+
+    if (window.OwlRetroImageTreatment) {
+      window.OwlRetroImageTreatment.remove();
+    }
+
+    reportFrameState();
+
+    if (deepRecolorKey) {
+      deepRecolorKey = null;
+      loadDeepRecolor()
+        .then(deepRecolor => {
+          // Turned back on in the meantime: only drop the patches, not the new theme classes
+          if (html.classList.contains('owl-retro')) {
+            deepRecolor.stopDeepRecolor();
+          } else {
+            deepRecolor.revertDeepRecolor();
+          }
+        })
+        .catch(error => console.warn('Owl Retro: Deep recolor revert failed', error));
+    }
   }
 
   /**
@@ -205,71 +938,109 @@
     // Re-apply theme on route changes for SPA compatibility
     if (isEnabled) {
       // Small delay to ensure DOM is updated
-      setTimeout(() => {
-        applyTheme();
+      setTimeout(async () => {
+        // Re-check site rules for new route (path rules can differ per route)
+        const allowed = await isSiteAllowed();
+        if (!allowed) {
+          console.log('Owl Retro: Route blocked by site rules');
+          removeTheme();
+          return;
+        }
 
-        // Re-check site allowlist for new route
-        isSiteAllowed().then(allowed => {
-          if (!allowed) {
-            console.log('Owl Retro: Route blocked by site allowlist');
-            removeTheme();
-          }
-        });
+        // Path overrides can differ per route too
+        updateStateFromPreferences();
+
+        if (!themingStarted) {
+          // Page was blocked when it loaded, but this route is allowed
+          startTheming();
+        } else {
+          applyTheme();
+        }
       }, 100);
     }
   }
 
   /**
-   * Handle messages from popup/background
+   * Take new preferences and reapply or remove the theme
    */
-  function handleMessage(request, sender, sendResponse) {
-    switch (request.action) {
-      case 'toggle':
-        isEnabled = request.enabled;
-        if (isEnabled) {
-          applyTheme();
-        } else {
-          removeTheme();
-        }
-        sendResponse({ success: true });
-        break;
-        
-      case 'changeMode':
-        currentMode = request.mode;
-        if (currentMode === 'auto') {
-          currentMode = detectSystemTheme();
-        }
+  function refreshFromPreferences(newPreferences) {
+    if (!newPreferences) return;
+    preferences = newPreferences;
+
+    // Update state (site overrides may have changed too)
+    updateStateFromPreferences();
+
+    // Reapply theme (site rules may have changed too)
+    isSiteAllowed().then(allowed => {
+      if (isEnabled && allowed) {
         applyTheme();
-        sendResponse({ success: true });
-        break;
-        
-      case 'toggleFont':
-        useMonospace = request.useMonospace;
+      } else {
+        removeTheme();
+      }
+    });
+  }
+
+  /**
+   * Handlers for messages from popup/background, added once theming has started
+   * (pages blocked at load don't react to them)
+   */
+  const themingHandlers = {
+    [ACTIONS.TOGGLE]: ({ enabled }) => {
+      isEnabled = enabled;
+      if (isEnabled) {
         applyTheme();
-        sendResponse({ success: true });
-        break;
-        
-      case 'changeIntensity':
-        currentIntensity = request.intensity;
+      } else {
+        removeTheme();
+      }
+    },
+
+    [ACTIONS.CHANGE_MODE]: ({ mode }) => {
+      preferredMode = mode;
+      currentMode = resolveMode(preferredMode);
+      applyTheme();
+    },
+
+    [ACTIONS.PREFERENCES_UPDATED]: (message) => {
+      refreshFromPreferences(message.preferences);
+    },
+
+    // Sent by the service worker at schedule boundaries
+    [ACTIONS.SCHEDULED_MODE_CHANGED]: ({ mode }) => {
+      if (preferredMode === 'schedule') {
+        currentMode = mode;
         applyTheme();
-        sendResponse({ success: true });
-        break;
-        
-      case 'getStatus':
-        sendResponse({
-          enabled: isEnabled,
-          mode: currentMode,
-          useMonospace: useMonospace,
-          intensity: currentIntensity
-        });
-        break;
-        
-      default:
-        sendResponse({ success: false, error: 'Unknown action' });
-    }
-    
-    return true; // Keep message channel open for async response
-  }
+      }
+    },
+
+    [ACTIONS.CHANGE_THEME_STYLE]: ({ themeStyle }) => {
+      currentThemeStyle = themeStyle;
+      applyTheme();
+    },
+
+    [ACTIONS.TOGGLE_FONT]: (message) => {
+      useMonospace = message.useMonospace;
+      applyTheme();
+    },
+
+    [ACTIONS.CHANGE_INTENSITY]: ({ intensity }) => {
+      currentIntensity = intensity;
+      applyTheme();
+    },
+
+    [ACTIONS.START_PICKER]: () => {
+      startElementPicker();
+    },
+
+    [ACTIONS.EXCLUDE_ELEMENT]: () => excludeContextElement(),
+
+    [ACTIONS.GET_STATUS]: () => ({
+      enabled: isEnabled,
+      mode: currentMode,
+      themeStyle: currentThemeStyle,
+      useMonospace: useMonospace,
+      intensity: currentIntensity
+    })
+  };
 
   /**
    * Initialize the extension
@@ -278,37 +1049,76 @@
     try {
       // Load preferences
       preferences = await loadPreferences();
+      syncedPalettes = await loadCustomPalettes();
+      paletteCSS = await loadPaletteCSS();
+      customPalettes = window.OwlRetroPalette.joinPaletteCSS(syncedPalettes, paletteCSS);
+      elementRules = await loadElementRules();
+      siteCSS = await loadSiteCSS();
 
       // Set default values if no preferences
       if (!preferences) {
         preferences = {
           enabled: true,
           mode: 'auto',
+          themeStyle: 'full',
+          siteOverrides: {},
+          schedule: window.OwlRetroSchedule.DEFAULT_SCHEDULE,
           useMonospace: true,
           intensity: 0.8,
+          palette: 'retro',
           siteAllowlist: [],
-          siteBlocklist: []
+          siteBlocklist: [],
+          deepRecolor: false,
+          colorMapping: 'perceptual',
+          imageTreatment: 'none',
+          imageMinSize: 96,
+          framePolicy: 'follow',
+          font: 'system-mono',
+          fontScope: 'all',
+          fontScale: 1,
+          lineHeightScale: 1,
+          crtEffects: {
+            scanlines: { enabled: false, strength: 0.4 },
+            vignette: { enabled: false, strength: 0.4 },
+            glow: { enabled: false, strength: 0.4 },
+            cursor: { enabled: false, strength: 1 }
+          }
         };
       }
 
-      // Update state from preferences
-      isEnabled = preferences.enabled;
-      currentMode = preferences.mode;
-      useMonospace = preferences.useMonospace;
-      currentIntensity = preferences.intensity;
-
-      // Auto-detect theme if mode is auto
-      if (currentMode === 'auto') {
-        currentMode = detectSystemTheme();
+      // Frames are themed like the page around them, if at all
+      if (!isTopFrame) {
+        topFrameState = await requestTopFrameState();
       }
 
+      // Update state from preferences and site overrides
+      updateStateFromPreferences();
+
       // Check if site is allowed
       const siteAllowed = await isSiteAllowed();
       if (!siteAllowed) {
         console.log('Owl Retro: Site is blocked');
+        rollBackEarlyPaint();
         return;
       }
 
+      await startTheming();
+    } catch (error) {
+      console.error('Failed to initialize Owl Retro:', error);
+      rollBackEarlyPaint();
+    } finally {
+      resolveFrameState();
+    }
+  }
+
+  /**
+   * Load styles, apply the theme and start listening for changes
+   */
+  async function startTheming() {
+    if (themingStarted) return;
+    themingStarted = true;
+
+    try {
       // Check for Edge-specific issues
       const isEdge = navigator.userAgent.includes('Edg/');
       if (isEdge) {
@@ -319,6 +1129,7 @@
       const cssLoaded = await loadThemeCSS();
       if (!cssLoaded) {
         console.error('Failed to load CSS files');
+        rollBackEarlyPaint();
         return;
       }
       
@@ -334,31 +1145,43 @@
           applyTheme();
           initializeCSSInjectionOptimizations();
         }
+      } else {
+        rollBackEarlyPaint();
       }
       
-      // Listen for messages - use chrome.runtime for content scripts
-      chrome.runtime.onMessage.addListener(handleMessage);
+      // Popup/background messages only apply once the page is themed
+      Object.assign(messageHandlers, themingHandlers);
 
       // Listen for storage changes - use chrome.storage for content scripts
       chrome.storage.onChanged.addListener((changes, area) => {
         if (area === 'sync' && changes.owl_preferences) {
-          preferences = changes.owl_preferences.newValue;
+          refreshFromPreferences(changes.owl_preferences.newValue);
+        }
 
-          // Update state
-          isEnabled = preferences.enabled;
-          currentMode = preferences.mode;
-          useMonospace = preferences.useMonospace;
-          currentIntensity = preferences.intensity;
+        if (area === 'local' && changes.owl_element_rules) {
+          refreshElementRules(changes.owl_element_rules.newValue);
+        }
 
-          if (currentMode === 'auto') {
-            currentMode = detectSystemTheme();
+        if (area === 'local' && changes.owl_site_css) {
+          siteCSS = changes.owl_site_css.newValue || {};
+          if (isEnabled && document.documentElement.classList.contains('owl-retro')) {
+            applySiteCSS();
           }
+        }
 
-          // Reapply theme
+        const palettesChanged = area === 'sync' && changes.owl_custom_palettes;
+        const paletteCSSChanged = area === 'local' && changes.owl_palette_css;
+        if (palettesChanged || paletteCSSChanged) {
+          if (palettesChanged) syncedPalettes = changes.owl_custom_palettes.newValue || {};
+          if (paletteCSSChanged) paletteCSS = changes.owl_palette_css.newValue || {};
+          customPalettes = window.OwlRetroPalette.joinPaletteCSS(syncedPalettes, paletteCSS);
           if (isEnabled) {
-            applyTheme();
-          } else {
-            removeTheme();
+            applyPaletteTokens();
+            if (document.documentElement.classList.contains('owl-retro')) {
+              applyImageTreatment();
+              applyFontStyles();
+              updateDeepRecolor();
+            }
           }
         }
       });
@@ -366,7 +1189,7 @@
       // Listen for system theme changes
       if (window.matchMedia) {
         window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
-          if (preferences.mode === 'auto') {
+          if (preferredMode === 'auto') {
             currentMode = e.matches ? 'dark' : 'light';
             if (isEnabled) {
               applyTheme();
@@ -390,11 +1213,20 @@
     getStatus: () => ({
       enabled: isEnabled,
       mode: currentMode,
+      themeStyle: currentThemeStyle,
       useMonospace: useMonospace,
       intensity: currentIntensity
     })
   };
 
+  // Remember the right-clicked element for the "Exclude this element" menu item
+  document.addEventListener('contextmenu', (e) => {
+    lastContextElement = e.target;
+  }, true);
+
+  // Listen for messages - use chrome.runtime for content scripts
+  chrome.runtime.onMessage.addListener(window.OwlRetroMessages.createListener(messageHandlers));
+
   // Start initialization
   initialize();
 })();
\ No newline at end of file
@@ -0,0 +1,67 @@
+/**
+ * Owl Retro - Deep Recolor
+ * Derin renklendirme: hesaplanan renkleri boşta zamanda analiz edip satır içi yamalarla eşler
+ *
+ * Entry point for the dom-analyzer/theme-injector pipeline. Content scripts can't be
+ * ES modules, so content.js imports this file on demand when deep recolor is turned on.
+ * After the full scan, the mutation handler recolors content the page adds later.
+ */
+
+import { analyzeFullDOM } from './dom-analyzer.js';
+import { applyPatchPlans, revertPatchedStyles, revertAllStyles } from './theme-injector.js';
+import { startMutationObserver, stopMutationObserver } from './mutation-handler.js';
+
+// Bumped by each new pass and by reverts, so a stale pass doesn't apply its plans
+let passId = 0;
+
+/**
+ * Recolor elements the stylesheets miss (inline styles, CSS-in-JS).
+ * `mapping` picks the color-utils algorithm ('perceptual' or 'legacy'), `palette`
+ * the colors to map toward (the active palette's tokens for the mode).
+ * Already patched elements are skipped; with `reset`, patches from an earlier
+ * mode, intensity, mapping or palette are reverted first. Returns the number of elements patched.
+ */
+export async function runDeepRecolor(mode, intensity, { mapping, palette, reset = false } = {}) {
+  const id = ++passId;
+  if (reset) {
+    revertPatchedStyles();
+  }
+
+  // Watch from the start so nothing added during the scan is missed; the
+  // observer maps with the settings of the pass that started it
+  stopMutationObserver();
+  startMutationObserver(mode, intensity, { mapping, palette });
+
+  // Patch each chunk as it is analyzed, so large pages recolor progressively
+  let patched = 0;
+  await analyzeFullDOM(mode, intensity, {
+    mapping,
+    palette,
+    isCancelled: () => id !== passId,
+    onPlans: async plans => {
+      if (id === passId) {
+        patched += await applyPatchPlans(plans);
+      }
+    }
+  });
+
+  return patched;
+}
+
+/**
+ * Turn deep recolor off while the theme stays on
+ */
+export function stopDeepRecolor() {
+  passId++;
+  stopMutationObserver();
+  revertPatchedStyles();
+}
+
+/**
+ * Theme turned off: revert patches, theme classes and font
+ */
+export function revertDeepRecolor() {
+  passId++;
+  stopMutationObserver();
+  revertAllStyles();
+}
@@ -4,7 +4,7 @@
  */
 
 import { PERFORMANCE_CONFIG, CSS_CLASSES, DATA_ATTRIBUTES, DEBUG } from '../utils/constants.js';
-import { mapToRetroPalette, shouldPreserveColor } from '../utils/color-utils.js';
+import { mapToRetroPalette, mapGradientToRetroPalette, mapColorsInValue, shouldPreserveColor } from '../utils/color-utils.js';
 
 // Skip these element types
 const SKIP_ELEMENTS = new Set([
@@ -12,17 +12,52 @@ const SKIP_ELEMENTS = new Set([
   'BR', 'HR', 'WBR', 'AREA', 'SOURCE', 'TRACK'
 ]);
 
+// Single-color properties remapped on HTML elements
+const COLOR_PROPS = [
+  'color',
+  'background-color',
+  'border-color',
+  'border-top-color',
+  'border-right-color',
+  'border-bottom-color',
+  'border-left-color',
+  'outline-color',
+  'text-decoration-color',
+  'accent-color'
+];
+
+// Only worth patching where they show: rules with a style, carets in text fields
+const CONDITIONAL_COLOR_PROPS = {
+  'column-rule-color': (computed) => computed['column-rule-style'] !== 'none',
+  'caret-color': (computed, element) => element.matches('input, textarea')
+};
+
+// Inline SVG elements only get their paints remapped, so icons follow the palette
+const SVG_COLOR_PROPS = ['fill', 'stroke'];
+
+// Comma-separated shadow lists; each shadow's color is mapped on its own
+const SHADOW_PROPS = ['box-shadow', 'text-shadow'];
+
+// Element rules: excluded, keep-colors and forced regions are left alone, subtree included
 const SKIP_SELECTORS = [
-  'svg', 'canvas', 'video', 'img', 'iframe',
+  'canvas', 'video', 'img', 'iframe',
   'embed', 'object', 'picture', '[contenteditable]',
-  '.owl-skip', `[${DATA_ATTRIBUTES.THEME_APPLIED}]`
+  '.owl-skip', '.owl-keep-colors', '.owl-force-light', '.owl-force-dark'
 ].join(',');
 
+/**
+ * Check if element was already patched (its children may not be)
+ */
+function isPatched(element) {
+  return element.hasAttribute(DATA_ATTRIBUTES.PATCHED);
+}
+
 /**
  * Check if element is visible
  */
 function isVisible(element) {
-  if (!element.offsetParent) return false;
+  // SVG elements have no offsetParent; their box is checked below
+  if (!(element instanceof SVGElement) && !element.offsetParent) return false;
   
   const rect = element.getBoundingClientRect();
   if (rect.width === 0 || rect.height === 0) return false;
@@ -36,7 +71,7 @@ function isVisible(element) {
 /**
  * Create a patch plan for an element
  */
-function createPatchPlan(element, mode, intensity) {
+function createPatchPlan(element, mode, intensity, mapping, palette) {
   const computed = window.getComputedStyle(element);
   const plan = {
     element,
@@ -44,51 +79,73 @@ function createPatchPlan(element, mode, intensity) {
   };
 
   // Check color properties
-  const colorProps = [
-    'color',
-    'background-color',
-    'border-color',
-    'border-top-color',
-    'border-right-color',
-    'border-bottom-color',
-    'border-left-color',
-    'outline-color',
-    'text-decoration-color'
-  ];
+  const isSVG = element instanceof SVGElement;
+  const colorProps = isSVG ? SVG_COLOR_PROPS : COLOR_PROPS.concat(
+    Object.keys(CONDITIONAL_COLOR_PROPS).filter(prop => CONDITIONAL_COLOR_PROPS[prop](computed, element))
+  );
 
   colorProps.forEach(prop => {
     const value = computed[prop];
     if (value && !shouldPreserveColor(value)) {
-      const mappedColor = mapToRetroPalette(value, mode, intensity);
+      const mappedColor = mapToRetroPalette(value, mode, intensity, mapping, palette);
       if (mappedColor !== value) {
         plan.styles[prop] = mappedColor;
       }
     }
   });
 
-  // Check background image for gradients
+  if (isSVG) {
+    return Object.keys(plan.styles).length > 0 ? plan : null;
+  }
+
+  // Shadows: "rgba(0, 0, 0, 0.2) 0px 1px 2px 0px, ..." keeps offsets, blur, spread and inset
+  SHADOW_PROPS.forEach(prop => {
+    const value = computed[prop];
+    if (value && value !== 'none') {
+      const mappedShadow = mapColorsInValue(value, mode, intensity, mapping, palette);
+      if (mappedShadow !== value) {
+        plan.styles[prop] = mappedShadow;
+      }
+    }
+  });
+
+  // Remap gradient color stops, keeping angles and positions
   const bgImage = computed['background-image'];
   if (bgImage && bgImage.includes('gradient')) {
-    // For now, skip gradients to preserve layouts
-    // Future: Parse and map gradient colors
+    const mappedImage = mapGradientToRetroPalette(bgImage, mode, intensity, mapping, palette);
+    if (mappedImage !== bgImage) {
+      plan.styles['background-image'] = mappedImage;
+    }
   }
 
   return Object.keys(plan.styles).length > 0 ? plan : null;
 }
 
 /**
- * Analyze DOM and create patch plans
+ * Whether an element sits in a region deep recolor leaves alone (itself or an ancestor)
+ */
+function isSkipped(element) {
+  return SKIP_ELEMENTS.has(element.tagName) || Boolean(element.closest && element.closest(SKIP_SELECTORS));
+}
+
+/**
+ * Analyze DOM and create patch plans.
+ * With `startAfter` (the previous chunk's lastElement), the walk resumes after that element.
  */
 export async function analyzeDOMChunk(rootElement, mode, intensity, options = {}) {
   const {
     maxElements = PERFORMANCE_CONFIG.CHUNK_SIZE,
     skipProcessed = true,
-    visibleOnly = true
+    visibleOnly = true,
+    mapping,
+    palette,
+    startAfter = null,
+    // Shared across chunks so each one picks up where the last stopped
+    processedElements = new WeakSet()
   } = options;
 
   const startTime = performance.now();
   const patchPlans = [];
-  const processedElements = new WeakSet();
 
   // Create tree walker
   const walker = document.createTreeWalker(
@@ -107,7 +164,7 @@ export async function analyzeDOMChunk(rootElement, mode, intensity, options = {}
         }
         
         // Skip if already processed
-        if (skipProcessed && processedElements.has(node)) {
+        if (skipProcessed && (processedElements.has(node) || isPatched(node))) {
           return NodeFilter.FILTER_SKIP;
         }
         
@@ -121,26 +178,33 @@ export async function analyzeDOMChunk(rootElement, mode, intensity, options = {}
     }
   );
 
+  // Resume where the last chunk stopped, unless that element has left the subtree since
+  if (startAfter && startAfter !== rootElement && rootElement.contains(startAfter)) {
+    walker.currentNode = startAfter;
+  }
+
   let element;
+  let lastElement = null;
   let count = 0;
 
-  while ((element = walker.nextNode()) && count < maxElements) {
-    // Check time budget
-    if (performance.now() - startTime > PERFORMANCE_CONFIG.MAX_SCAN_TIME_MS) {
-      if (DEBUG.LOG_PERFORMANCE) {
-        console.log('DOM scan time budget exceeded, stopping');
-      }
-      break;
-    }
-
+  while (count < maxElements && (element = walker.nextNode())) {
     processedElements.add(element);
+    lastElement = element;
     
-    const plan = createPatchPlan(element, mode, intensity);
+    const plan = createPatchPlan(element, mode, intensity, mapping, palette);
     if (plan) {
       patchPlans.push(plan);
     }
     
     count++;
+
+    // Check time budget
+    if (performance.now() - startTime > PERFORMANCE_CONFIG.MAX_SCAN_TIME_MS) {
+      if (DEBUG.LOG_PERFORMANCE) {
+        console.log('DOM scan time budget exceeded, stopping');
+      }
+      break;
+    }
   }
 
   if (DEBUG.LOG_PERFORMANCE) {
@@ -151,71 +215,109 @@ export async function analyzeDOMChunk(rootElement, mode, intensity, options = {}
   return {
     plans: patchPlans,
     elementsProcessed: count,
-    hasMore: walker.nextNode() !== null
+    lastElement,
+    hasMore: element !== null && walker.nextNode() !== null
   };
 }
 
 /**
- * Analyze full DOM with time slicing
+ * Resolve once the browser is idle (or on the next task without requestIdleCallback)
  */
-export async function analyzeFullDOM(mode, intensity) {
-  const chunks = [];
-  let hasMore = true;
-  let totalProcessed = 0;
-  
-  const startTime = performance.now();
-
-  while (hasMore) {
-    // Use requestIdleCallback if available
+function waitForIdle() {
+  return new Promise(resolve => {
     if (window.requestIdleCallback) {
-      await new Promise(resolve => {
-        window.requestIdleCallback(() => resolve(), {
-          timeout: PERFORMANCE_CONFIG.IDLE_CALLBACK_TIMEOUT
-        });
+      window.requestIdleCallback(() => resolve(), {
+        timeout: PERFORMANCE_CONFIG.IDLE_CALLBACK_TIMEOUT
       });
     } else {
-      // Fallback to setTimeout
-      await new Promise(resolve => setTimeout(resolve, 0));
+      setTimeout(resolve, 0);
+    }
+  });
+}
+
+/**
+ * Analyze a subtree one chunk per idle period, each chunk within MAX_SCAN_TIME_MS,
+ * until it is done or `isCancelled()` returns true. Each chunk's plans go to
+ * `onPlans(plans)`. With `includeRoot`, the root itself is analyzed too, unless it
+ * sits in a skipped region. Returns the number of elements analyzed.
+ */
+export async function analyzeSubtree(root, mode, intensity, options = {}) {
+  const {
+    mapping,
+    palette,
+    includeRoot = false,
+    onPlans = () => {},
+    isCancelled = () => false
+  } = options;
+
+  if (isSkipped(root)) return 0;
+
+  const processedElements = new WeakSet();
+  let total = 0;
+
+  if (includeRoot && !isPatched(root)) {
+    const plan = createPatchPlan(root, mode, intensity, mapping, palette);
+    if (plan) {
+      await onPlans([plan]);
     }
+    total++;
+  }
+
+  let startAfter = null;
+  let hasMore = true;
+  const startTime = performance.now();
+
+  while (hasMore) {
+    await waitForIdle();
+    if (isCancelled() || !root.isConnected) break;
 
-    const result = await analyzeDOMChunk(document.body, mode, intensity, {
+    const result = await analyzeDOMChunk(root, mode, intensity, {
       skipProcessed: true,
-      visibleOnly: true
+      visibleOnly: true,
+      processedElements,
+      startAfter,
+      mapping,
+      palette
     });
 
-    chunks.push(...result.plans);
-    totalProcessed += result.elementsProcessed;
+    total += result.elementsProcessed;
+    startAfter = result.lastElement;
     hasMore = result.hasMore;
 
-    // Check total time budget
-    if (performance.now() - startTime > PERFORMANCE_CONFIG.MAX_SCAN_TIME_MS * 3) {
-      if (DEBUG.LOG_PERFORMANCE) {
-        console.log('Total scan time exceeded, stopping');
-      }
-      break;
+    if (result.plans.length > 0) {
+      await onPlans(result.plans);
     }
   }
 
   if (DEBUG.LOG_PERFORMANCE) {
     const elapsed = performance.now() - startTime;
-    console.log(`Full DOM analysis: ${totalProcessed} elements in ${elapsed.toFixed(2)}ms`);
+    console.log(`Subtree analysis: ${total} elements in ${elapsed.toFixed(2)}ms`);
   }
 
-  return chunks;
+  return total;
 }
 
 /**
- * Analyze specific elements (for mutations)
+ * Analyze the whole page in idle-time chunks (see analyzeSubtree); the
+ * scan carries on across idle periods until every element has been seen
  */
-export function analyzeElements(elements, mode, intensity) {
+export function analyzeFullDOM(mode, intensity, options = {}) {
+  if (!document.body) return Promise.resolve(0);
+  return analyzeSubtree(document.body, mode, intensity, options);
+}
+
+/**
+ * Analyze specific elements and their subtrees in one go (small, known sets)
+ */
+export function analyzeElements(elements, mode, intensity, mapping, palette) {
   const plans = [];
   
   elements.forEach(element => {
     if (element.nodeType !== Node.ELEMENT_NODE) return;
-    if (SKIP_ELEMENTS.has(element.tagName)) return;
-    if (element.matches && element.matches(SKIP_SELECTORS)) return;
+    // Content added inside a skipped region is skipped with it
+    if (isSkipped(element)) return;
     
-    const plan = createPatchPlan(element, mode, intensity);
+    const plan = isPatched(element) ? null : createPatchPlan(element, mode, intensity, mapping, palette);
     if (plan) {
       plans.push(plan);
     }
@@ -223,10 +325,10 @@ export function analyzeElements(elements, mode, intensity) {
     // Also check children
     const children = element.querySelectorAll('*');
     children.forEach(child => {
-      if (SKIP_ELEMENTS.has(child.tagName)) return;
-      if (child.matches && child.matches(SKIP_SELECTORS)) return;
+      // Skip descendants of skipped elements too, as the tree walker does
+      if (isSkipped(child) || isPatched(child)) return;
       
-      const childPlan = createPatchPlan(child, mode, intensity);
+      const childPlan = createPatchPlan(child, mode, intensity, mapping, palette);
       if (childPlan) {
         plans.push(childPlan);
       }
@@ -234,4 +336,4 @@ export function analyzeElements(elements, mode, intensity) {
   });
   
   return plans;
-}
\ No newline at end of file
+}
@@ -0,0 +1,116 @@
+/**
+ * Owl Retro - Early Paint
+ * Erken boyama: tam tema yüklenene kadar son bilinen arka plan ve metin rengini hemen uygular
+ *
+ * Runs first at document_start. Preferences and the theme stylesheet arrive asynchronously,
+ * so without this the page paints in its own (usually white) colors before turning retro.
+ * The colors are cached per origin in the page's localStorage, the only storage a content
+ * script can read synchronously; content.js keeps them current and rolls them back.
+ * Top frame only: frames share the origin's storage, and follow the top frame's theme anyway.
+ */
+
+(function() {
+  'use strict';
+
+  if (window !== window.top) return;
+
+  const STORAGE_KEY = 'owl-retro:early-paint';
+  const STORAGE_VERSION = 1;
+  const STYLE_ID = 'owl-retro-early-styles';
+
+  // Only accept plain colors back from storage the page can write to
+  const COLOR_PATTERN = /^(#[0-9a-f]{3,8}|rgba?\([\d\s.,%]+\))$/i;
+  const ENTRY_FIELDS = ['version', 'mode', 'background', 'text'];
+
+  /**
+   * The cached entry, or null unless it is exactly what remember() writes
+   */
+  function read() {
+    try {
+      const entry = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+      const isEntry = entry !== null && typeof entry === 'object' && !Array.isArray(entry) &&
+        Object.keys(entry).length === ENTRY_FIELDS.length &&
+        ENTRY_FIELDS.every(field => typeof entry[field] === (field === 'version' ? 'number' : 'string')) &&
+        entry.version === STORAGE_VERSION &&
+        (entry.mode === 'light' || entry.mode === 'dark') &&
+        COLOR_PATTERN.test(entry.background) && COLOR_PATTERN.test(entry.text);
+      if (isEntry) {
+        return entry;
+      }
+    } catch (error) {
+      // Storage blocked (privacy settings) or not ours
+    }
+    return null;
+  }
+
+  /**
+   * Paint the cached colors before anything else loads
+   */
+  function apply() {
+    const entry = read();
+    if (!entry || document.getElementById(STYLE_ID)) return;
+
+    const style = document.createElement('style');
+    style.id = STYLE_ID;
+    style.textContent = `html, body {
+  background-color: ${entry.background} !important;
+  color: ${entry.text} !important;
+}
+html {
+  color-scheme: ${entry.mode};
+}`;
+    // No <head> yet at document_start
+    document.documentElement.appendChild(style);
+  }
+
+  /**
+   * Drop the early styles; the full theme has taken over or the page isn't themed
+   */
+  function remove() {
+    const style = document.getElementById(STYLE_ID);
+    if (style) {
+      style.remove();
+    }
+  }
+
+  /**
+   * Cache the colors the themed page ended up with, for the next load of this origin
+   */
+  function remember(mode) {
+    if (mode !== 'light' && mode !== 'dark') return;
+
+    const background = [document.body, document.documentElement]
+      .filter(Boolean)
+      .map(element => getComputedStyle(element).backgroundColor)
+      .find(color => color && color !== 'transparent' && color !== 'rgba(0, 0, 0, 0)');
+    const text = document.body && getComputedStyle(document.body).color;
+    if (!background || !text) return;
+
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: STORAGE_VERSION, mode, background, text }));
+    } catch (error) {
+      // Storage blocked or full; the next load just paints without early colors
+    }
+  }
+
+  /**
+   * Roll back: remove the early styles and the cached colors, so a blocked or
+   * disabled site doesn't flash retro colors on its next load either
+   */
+  function forget() {
+    remove();
+    try {
+      window.localStorage.removeItem(STORAGE_KEY);
+    } catch (error) {
+      // Nothing cached
+    }
+  }
+
+  apply();
+
+  window.OwlRetroEarlyPaint = {
+    remove,
+    remember,
+    forget
+  };
+})();
@@ -0,0 +1,254 @@
+/**
+ * Owl Retro - Element Picker
+ * Sayfada öğe seçici: üzerine gelinen öğeyi vurgular, tıklanan öğe için kural oluşturur
+ */
+
+(function() {
+  'use strict';
+
+  // Buttons shown for a picked element, by rule action
+  const PICKER_ACTIONS = [
+    { action: 'skip', label: 'Exclude' },
+    { action: 'keep', label: 'Keep Colors' },
+    { action: 'light', label: 'Force Light' },
+    { action: 'dark', label: 'Force Dark' }
+  ];
+
+  // Lives in a closed shadow root so neither the page nor the theme CSS can restyle it
+  const PICKER_STYLES = `
+    .highlight {
+      position: fixed;
+      pointer-events: none;
+      border: 2px solid #e64b35;
+      background: rgba(251, 205, 67, 0.25);
+      border-radius: 3px;
+      transition: all 0.08s ease-out;
+      display: none;
+    }
+    .panel {
+      position: fixed;
+      pointer-events: auto;
+      max-width: 360px;
+      padding: 10px;
+      background: #1a1815;
+      color: #e8e3d8;
+      border: 2px solid #fbcd43;
+      border-radius: 6px;
+      box-shadow: 0 4px 16px rgba(0, 0, 0, 0.4);
+      font: 12px/1.4 ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+    }
+    .selector {
+      margin-bottom: 8px;
+      color: #fbcd43;
+      word-break: break-all;
+    }
+    .buttons {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 6px;
+    }
+    button {
+      padding: 4px 8px;
+      background: #2f2c28;
+      color: #e8e3d8;
+      border: 1px solid #3a3632;
+      border-radius: 4px;
+      font: inherit;
+      cursor: pointer;
+    }
+    button:hover {
+      border-color: #fbcd43;
+    }
+    button.active {
+      background: #e64b35;
+      border-color: #e64b35;
+    }
+  `;
+
+  let host = null;
+  let shadow = null;
+  let hovered = null;
+  let picked = null;
+  let options = null;
+
+  function isPickerEvent(event) {
+    return host && event.composedPath().includes(host);
+  }
+
+  /**
+   * Create the overlay host with inline !important styles the theme can't override
+   */
+  function createOverlay() {
+    host = document.createElement('owl-retro-picker');
+    [
+      ['all', 'initial'],
+      ['position', 'fixed'],
+      ['inset', '0'],
+      ['z-index', '2147483647'],
+      ['pointer-events', 'none']
+    ].forEach(([property, value]) => host.style.setProperty(property, value, 'important'));
+
+    shadow = host.attachShadow({ mode: 'closed' });
+    shadow.innerHTML = `<style>${PICKER_STYLES}</style><div class="highlight"></div>`;
+    document.documentElement.appendChild(host);
+  }
+
+  function highlight(element) {
+    const box = shadow.querySelector('.highlight');
+    if (!element) {
+      box.style.display = 'none';
+      return;
+    }
+
+    const rect = element.getBoundingClientRect();
+    Object.assign(box.style, {
+      display: 'block',
+      top: `${rect.top}px`,
+      left: `${rect.left}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`
+    });
+  }
+
+  /**
+   * Show the action panel for the picked element
+   */
+  function showPanel() {
+    const existing = shadow.querySelector('.panel');
+    if (existing) existing.remove();
+
+    const selector = window.OwlRetroElementRules.buildSelector(picked);
+    const currentRules = options.getRulesForElement(picked);
+    const currentAction = currentRules.length > 0 ? currentRules[currentRules.length - 1].action : null;
+
+    const panel = document.createElement('div');
+    panel.className = 'panel';
+
+    const label = document.createElement('div');
+    label.className = 'selector';
+    label.textContent = selector;
+    panel.appendChild(label);
+
+    const buttons = document.createElement('div');
+    buttons.className = 'buttons';
+
+    const addButton = (text, onClick, active = false) => {
+      const button = document.createElement('button');
+      button.textContent = text;
+      button.classList.toggle('active', active);
+      button.addEventListener('click', onClick);
+      buttons.appendChild(button);
+    };
+
+    PICKER_ACTIONS.forEach(({ action, label: text }) => {
+      addButton(text, () => finish({ selector, action }), action === currentAction);
+    });
+
+    if (picked.parentElement && picked.parentElement !== document.documentElement) {
+      addButton('Parent', () => {
+        picked = picked.parentElement;
+        highlight(picked);
+        showPanel();
+      });
+    }
+    if (currentRules.length > 0) {
+      addButton('Reset', () => finish({ selector, action: null, rules: currentRules }));
+    }
+    addButton('Cancel', stop);
+
+    panel.appendChild(buttons);
+    shadow.appendChild(panel);
+
+    // Keep the panel on screen, below the element when there's room
+    const rect = picked.getBoundingClientRect();
+    const panelRect = panel.getBoundingClientRect();
+    const top = rect.bottom + 8 + panelRect.height < window.innerHeight
+      ? rect.bottom + 8
+      : Math.max(8, rect.top - panelRect.height - 8);
+    panel.style.top = `${top}px`;
+    panel.style.left = `${Math.min(Math.max(8, rect.left), window.innerWidth - panelRect.width - 8)}px`;
+  }
+
+  function finish(result) {
+    const onPick = options.onPick;
+    stop();
+    onPick(result);
+  }
+
+  function handleMouseMove(event) {
+    if (picked || isPickerEvent(event)) return;
+
+    const target = event.target;
+    if (target !== hovered && target.nodeType === Node.ELEMENT_NODE) {
+      hovered = target;
+      highlight(hovered);
+    }
+  }
+
+  // Swallow page interaction while picking so links and buttons don't fire
+  function handlePointer(event) {
+    if (isPickerEvent(event)) return;
+
+    event.preventDefault();
+    event.stopImmediatePropagation();
+
+    // Clicking another element while the panel is open picks that one instead
+    if (event.type === 'click' && event.target.nodeType === Node.ELEMENT_NODE) {
+      picked = event.target;
+      highlight(picked);
+      showPanel();
+    }
+  }
+
+  function handleKeyDown(event) {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      stop();
+    }
+  }
+
+  function handleScroll() {
+    highlight(picked || hovered);
+    if (picked) showPanel();
+  }
+
+  /**
+   * Start picking. options: { onPick({ selector, action, rules }), getRulesForElement(element) }
+   */
+  function start(pickerOptions) {
+    if (host) stop();
+    options = pickerOptions;
+
+    createOverlay();
+    document.addEventListener('mousemove', handleMouseMove, true);
+    ['click', 'mousedown', 'mouseup', 'pointerdown', 'pointerup'].forEach(type => {
+      window.addEventListener(type, handlePointer, true);
+    });
+    window.addEventListener('keydown', handleKeyDown, true);
+    window.addEventListener('scroll', handleScroll, true);
+  }
+
+  function stop() {
+    if (!host) return;
+
+    document.removeEventListener('mousemove', handleMouseMove, true);
+    ['click', 'mousedown', 'mouseup', 'pointerdown', 'pointerup'].forEach(type => {
+      window.removeEventListener(type, handlePointer, true);
+    });
+    window.removeEventListener('keydown', handleKeyDown, true);
+    window.removeEventListener('scroll', handleScroll, true);
+
+    host.remove();
+    host = null;
+    shadow = null;
+    hovered = null;
+    picked = null;
+    options = null;
+  }
+
+  window.OwlRetroElementPicker = {
+    start,
+    stop,
+    isActive: () => Boolean(host)
+  };
+})();
@@ -0,0 +1,271 @@
+/**
+ * Owl Retro - Font Safety
+ * İkon yazı tipi koruması: çalışma anında ikonları tespit eder ve retro yazı tipinden muaf tutar
+ *
+ * Requires element-rules.js to be loaded first.
+ */
+
+(function() {
+  'use strict';
+
+  // Elements with this class keep the site's font (see retro-font.css)
+  const ICON_CLASS = 'owl-icon-font';
+
+  // Briefly exempts candidates so their computed font is the site's, not the retro font
+  const PROBE_CLASS = 'owl-font-probe';
+
+  // chrome.storage.local: { hostname: { classes: [...], updated } }
+  const STORAGE_KEY = 'owl_icon_fonts';
+  const MAX_CACHED_CLASSES = 50;
+  const MAX_CACHED_SITES = 200;
+
+  // Font families that draw icons rather than text
+  const ICON_FAMILY_PATTERN = /icon|material symbols|awesome|glyph|fontello|icomoon|codicon|octicon|dashicons|feather|remixicon|tabler|phosphor|lucide|symbol/i;
+
+  // Private use area code points, where icon fonts keep their glyphs
+  const PRIVATE_USE_PATTERN = /[\uE000-\uF8FF]|[\u{F0000}-\u{FFFFD}]|[\u{100000}-\u{10FFFD}]/u;
+
+  // Class names that hint at an icon even when the element is empty (icons drawn by ::before)
+  const ICON_HINT_PATTERN = /icon|symbol|glyph/i;
+
+  // Subtrees that are never retro-fonted, so never worth probing
+  const SKIP_SELECTOR = 'code, pre, kbd, samp, svg, math, script, style, noscript, textarea, input, select';
+
+  // Icon text is a glyph or a ligature name ("arrow_forward"), never a sentence
+  const MAX_ICON_TEXT_LENGTH = 32;
+
+  const BATCH_SIZE = 300;
+
+  let active = false;
+  let hostname = null;
+  let cachedClasses = [];
+  let classCounts = new Map();
+  let observer = null;
+  let pending = [];
+  let scanScheduled = false;
+  let saveTimer = null;
+
+  function scheduleIdle(callback) {
+    if (window.requestIdleCallback) {
+      window.requestIdleCallback(callback, { timeout: 1000 });
+    } else {
+      setTimeout(callback, 50);
+    }
+  }
+
+  function hasPrivateUseGlyph(text) {
+    return Boolean(text) && PRIVATE_USE_PATTERN.test(text);
+  }
+
+  /**
+   * Check an element's ::before/::after content for icon glyphs
+   */
+  function hasIconPseudoContent(element) {
+    return ['::before', '::after'].some(pseudo => {
+      const content = getComputedStyle(element, pseudo).content;
+      return content && content !== 'none' && content !== 'normal' && hasPrivateUseGlyph(content);
+    });
+  }
+
+  function isCandidate(element) {
+    if (element.classList.contains(ICON_CLASS) || element.closest(SKIP_SELECTOR)) return false;
+    if (element.childElementCount > 0) return false;
+
+    const text = element.textContent.trim();
+    if (text.length > MAX_ICON_TEXT_LENGTH || /\s/.test(text)) return false;
+
+    // Empty elements are only icons when drawn by a pseudo-element; look at the likely ones
+    return text.length > 0 || /^(I|SPAN|EM|B)$/.test(element.tagName) || ICON_HINT_PATTERN.test(element.className);
+  }
+
+  function getCachedSelector() {
+    return cachedClasses.map(name => `.${CSS.escape(name)}`).join(', ');
+  }
+
+  /**
+   * Mark elements carrying a class this site is known to use for icons
+   */
+  function markCached(root) {
+    const selector = getCachedSelector();
+    if (!selector) return;
+
+    if (root.matches && root.matches(selector)) {
+      root.classList.add(ICON_CLASS);
+    }
+    root.querySelectorAll(selector).forEach(element => element.classList.add(ICON_CLASS));
+  }
+
+  /**
+   * Remember stable class names that keep showing up on icons, for the next visit
+   */
+  function learnClasses(element) {
+    const { isStableToken } = window.OwlRetroElementRules;
+    const tokens = Array.from(element.classList).filter(name => name !== ICON_CLASS && name !== PROBE_CLASS && isStableToken(name));
+
+    tokens.forEach(name => {
+      const count = (classCounts.get(name) || 0) + 1;
+      classCounts.set(name, count);
+
+      // Seen on two icons, or the icon's only class
+      if ((count >= 2 || tokens.length === 1) && !cachedClasses.includes(name) && cachedClasses.length < MAX_CACHED_CLASSES) {
+        cachedClasses.push(name);
+        scheduleSave();
+      }
+    });
+  }
+
+  /**
+   * Probe a batch: read each candidate's own font with the retro font lifted, and its glyphs
+   */
+  function detectBatch(elements) {
+    elements.forEach(element => element.classList.add(PROBE_CLASS));
+
+    // One style recalculation for the whole batch
+    const icons = elements.filter(element => {
+      if (!element.isConnected) return false;
+      // Only the first family counts; stacks often end in "Segoe UI Symbol" and the like
+      const family = getComputedStyle(element).fontFamily.split(',')[0];
+      return ICON_FAMILY_PATTERN.test(family) ||
+        hasPrivateUseGlyph(element.textContent) ||
+        hasIconPseudoContent(element);
+    });
+
+    icons.forEach(element => {
+      element.classList.add(ICON_CLASS);
+      learnClasses(element);
+    });
+    elements.forEach(element => element.classList.remove(PROBE_CLASS));
+  }
+
+  function processPending() {
+    scanScheduled = false;
+    if (!active) return;
+
+    const roots = pending.splice(0, pending.length);
+    const candidates = [];
+    roots.forEach(root => {
+      if (!root.isConnected) return;
+      markCached(root);
+      if (root.childElementCount === 0 && isCandidate(root)) {
+        candidates.push(root);
+      }
+      root.querySelectorAll('*').forEach(element => {
+        if (isCandidate(element)) candidates.push(element);
+      });
+    });
+
+    const runBatch = (start) => {
+      if (!active || start >= candidates.length) return;
+      detectBatch(candidates.slice(start, start + BATCH_SIZE));
+      scheduleIdle(() => runBatch(start + BATCH_SIZE));
+    };
+    runBatch(0);
+  }
+
+  function queue(root) {
+    pending.push(root);
+    if (!scanScheduled) {
+      scanScheduled = true;
+      scheduleIdle(processPending);
+    }
+  }
+
+  async function loadCache() {
+    try {
+      const result = await chrome.storage.local.get(STORAGE_KEY);
+      const entry = (result[STORAGE_KEY] || {})[hostname];
+      return entry && Array.isArray(entry.classes) ? entry.classes : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  function scheduleSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(saveCache, 2000);
+  }
+
+  async function saveCache() {
+    saveTimer = null;
+    if (!hostname) return;
+
+    try {
+      const result = await chrome.storage.local.get(STORAGE_KEY);
+      const cache = { ...(result[STORAGE_KEY] || {}) };
+      cache[hostname] = { classes: cachedClasses.slice(), updated: Date.now() };
+
+      // Forget the sites visited longest ago
+      const sites = Object.keys(cache);
+      if (sites.length > MAX_CACHED_SITES) {
+        sites
+          .sort((a, b) => cache[a].updated - cache[b].updated)
+          .slice(0, sites.length - MAX_CACHED_SITES)
+          .forEach(site => delete cache[site]);
+      }
+
+      await chrome.storage.local.set({ [STORAGE_KEY]: cache });
+    } catch (error) {
+      console.warn('Owl Retro: Could not save icon font cache', error);
+    }
+  }
+
+  function observeBody() {
+    if (!active || observer) return;
+
+    queue(document.body);
+
+    // Only added nodes: the probe's own class changes must not retrigger a scan
+    observer = new MutationObserver(mutations => {
+      mutations.forEach(mutation => {
+        mutation.addedNodes.forEach(node => {
+          if (node.nodeType === Node.ELEMENT_NODE) queue(node);
+        });
+      });
+    });
+    observer.observe(document.body, { childList: true, subtree: true });
+  }
+
+  /**
+   * Start exempting icons on this page: cached classes first, then a runtime scan
+   */
+  async function start(siteHostname) {
+    if (active) return;
+    active = true;
+    hostname = siteHostname;
+
+    cachedClasses = await loadCache();
+    if (!active) return;
+
+    if (document.body) {
+      observeBody();
+    } else {
+      document.addEventListener('DOMContentLoaded', observeBody, { once: true });
+    }
+  }
+
+  /**
+   * Stop scanning and drop the markers
+   */
+  function stop() {
+    if (!active) return;
+    active = false;
+
+    if (observer) {
+      observer.disconnect();
+      observer = null;
+    }
+    document.removeEventListener('DOMContentLoaded', observeBody);
+    pending = [];
+    classCounts = new Map();
+
+    document.querySelectorAll(`.${ICON_CLASS}`).forEach(element => element.classList.remove(ICON_CLASS));
+  }
+
+  window.OwlRetroFontSafety = {
+    ICON_CLASS,
+    STORAGE_KEY,
+    start,
+    stop,
+    isActive: () => active
+  };
+})();
@@ -0,0 +1,306 @@
+/**
+ * Owl Retro - Image Treatment
+ * Görsel filtreleri: sepya, palet renkleriyle duoton ve palete sıralı titreme (dither)
+ *
+ * Requires palette.js to be loaded first.
+ */
+
+(function() {
+  'use strict';
+
+  const TREATMENTS = ['none', 'sepia', 'duotone', 'dither'];
+
+  // Smaller images are usually logos, avatars and icons, which read better untouched
+  const DEFAULT_MIN_SIZE = 96;
+
+  const IMAGE_CLASS = 'owl-image';
+  const STYLE_ID = 'owl-retro-image-styles';
+  const FILTERS_ID = 'owl-retro-image-filters';
+  const MEDIA_SELECTOR = 'img, video';
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+
+  // Skipped and "keep colors" regions from element rules keep their images as-is
+  const IMAGE_SELECTOR = `html.owl-retro .${IMAGE_CLASS}:not(.owl-skip):not(.owl-skip *):not(.owl-keep-colors):not(.owl-keep-colors *)`;
+
+  const FILTERS = {
+    sepia: 'sepia(0.75) saturate(0.85) contrast(1.05)',
+    duotone: 'url(#owl-duotone)',
+    dither: 'url(#owl-dither)'
+  };
+
+  // 4x4 Bayer matrix, thresholds 0-15
+  const BAYER_MATRIX = [
+    [0, 8, 2, 10],
+    [12, 4, 14, 6],
+    [3, 11, 1, 9],
+    [15, 7, 13, 5]
+  ];
+
+  // Rec. 709 luma, applied per channel so every channel carries the gray value
+  const LUMINANCE_MATRIX = [
+    '0.2126 0.7152 0.0722 0 0',
+    '0.2126 0.7152 0.0722 0 0',
+    '0.2126 0.7152 0.0722 0 0',
+    '0 0 0 1 0'
+  ].join(' ');
+
+  let currentTreatment = 'none';
+  let minSize = DEFAULT_MIN_SIZE;
+  let observer = null;
+  let pending = new Set();
+  let flushTimer = null;
+
+  function luminance(rgb) {
+    return 0.2126 * rgb.r + 0.7152 * rgb.g + 0.0722 * rgb.b;
+  }
+
+  function channelTable(colors, channel) {
+    return colors.map(color => (color[channel] / 255).toFixed(4)).join(' ');
+  }
+
+  function transferFunctions(colors, type) {
+    return ['r', 'g', 'b'].map(channel =>
+      `<feFunc${channel.toUpperCase()} type="${type}" tableValues="${channelTable(colors, channel)}"/>`
+    ).join('');
+  }
+
+  /**
+   * Tile image for the ordered dither: each cell's gray level is its Bayer threshold
+   */
+  function buildBayerImage() {
+    const cells = BAYER_MATRIX.map((row, y) => row.map((threshold, x) => {
+      const level = Math.round((threshold + 0.5) / 16 * 255);
+      return `<rect x="${x}" y="${y}" width="1" height="1" fill="rgb(${level},${level},${level})"/>`;
+    }).join('')).join('');
+
+    const svg = `<svg xmlns="${SVG_NS}" width="4" height="4" shape-rendering="crispEdges">${cells}</svg>`;
+    return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+  }
+
+  /**
+   * Duotone maps luminance between the darker and lighter of the page colors,
+   * with highlights pulled towards accent-2 so the result reads as a tint
+   */
+  function getDuotoneColors(tokens) {
+    const { parseColor, mixColors } = window.OwlRetroPalette;
+    const neutrals = [tokens['bg-primary'], tokens['text-primary']]
+      .map(parseColor)
+      .filter(Boolean)
+      .sort((a, b) => luminance(a) - luminance(b));
+    const accent = parseColor(tokens['accent-2']);
+
+    if (neutrals.length < 2) return null;
+    return [neutrals[0], accent ? mixColors(neutrals[1], accent, 0.25) : neutrals[1]];
+  }
+
+  /**
+   * Dither levels: the page colors and accents, darkest first
+   */
+  function getDitherColors(tokens) {
+    const { parseColor, toHex } = window.OwlRetroPalette;
+    const seen = new Set();
+
+    return ['bg-primary', 'text-primary', 'accent-1', 'accent-2', 'accent-3']
+      .map(name => parseColor(tokens[name]))
+      .filter(color => {
+        if (!color) return false;
+        const hex = toHex(`rgb(${color.r}, ${color.g}, ${color.b})`);
+        if (seen.has(hex)) return false;
+        seen.add(hex);
+        return true;
+      })
+      .sort((a, b) => luminance(a) - luminance(b));
+  }
+
+  /**
+   * SVG filter definitions for duotone and dither, built from the palette tokens
+   */
+  function buildFilterMarkup(tokens) {
+    const filters = [];
+
+    const duotone = getDuotoneColors(tokens);
+    if (duotone) {
+      filters.push(
+        '<filter id="owl-duotone" color-interpolation-filters="sRGB">' +
+          `<feColorMatrix type="matrix" values="${LUMINANCE_MATRIX}"/>` +
+          `<feComponentTransfer>${transferFunctions(duotone, 'table')}</feComponentTransfer>` +
+        '</filter>'
+      );
+    }
+
+    const levels = getDitherColors(tokens);
+    if (levels.length >= 2) {
+      // Add the tiled threshold (centered on zero, one level wide) to the gray value,
+      // then snap each pixel to a palette color and restore the source alpha
+      const spread = (1 / levels.length).toFixed(4);
+      const offset = (-0.5 / levels.length).toFixed(4);
+      filters.push(
+        '<filter id="owl-dither" color-interpolation-filters="sRGB" x="0" y="0" width="100%" height="100%">' +
+          `<feColorMatrix in="SourceGraphic" type="matrix" values="${LUMINANCE_MATRIX}" result="gray"/>` +
+          `<feImage href="${buildBayerImage()}" x="0" y="0" width="4" height="4" preserveAspectRatio="none" result="cell"/>` +
+          '<feTile in="cell" result="threshold"/>' +
+          `<feComposite in="gray" in2="threshold" operator="arithmetic" k1="0" k2="1" k3="${spread}" k4="${offset}" result="dithered"/>` +
+          `<feComponentTransfer in="dithered" result="snapped">${transferFunctions(levels, 'discrete')}</feComponentTransfer>` +
+          '<feComposite in="snapped" in2="SourceGraphic" operator="in"/>' +
+        '</filter>'
+      );
+    }
+
+    return filters.join('');
+  }
+
+  function injectFilters(tokens) {
+    let svg = document.getElementById(FILTERS_ID);
+    if (!svg) {
+      svg = document.createElementNS(SVG_NS, 'svg');
+      svg.id = FILTERS_ID;
+      svg.setAttribute('aria-hidden', 'true');
+      svg.setAttribute('width', '0');
+      svg.setAttribute('height', '0');
+      svg.style.setProperty('position', 'absolute', 'important');
+      svg.style.setProperty('width', '0', 'important');
+      svg.style.setProperty('height', '0', 'important');
+      svg.style.setProperty('overflow', 'hidden', 'important');
+      svg.style.setProperty('pointer-events', 'none', 'important');
+      (document.body || document.documentElement).appendChild(svg);
+    }
+    svg.innerHTML = `<defs>${buildFilterMarkup(tokens)}</defs>`;
+  }
+
+  function injectStyles() {
+    let style = document.getElementById(STYLE_ID);
+    if (!style) {
+      style = document.createElement('style');
+      style.id = STYLE_ID;
+      (document.head || document.documentElement).appendChild(style);
+    }
+
+    // Hovering an image shows the original
+    style.textContent = `
+${IMAGE_SELECTOR} {
+  filter: ${FILTERS[currentTreatment]} !important;
+  transition: filter 0.2s ease-out !important;
+}
+${IMAGE_SELECTOR}:hover {
+  filter: none !important;
+}`;
+  }
+
+  /**
+   * Mark an image or video once it renders at least minSize in both dimensions
+   */
+  function updateElement(element) {
+    const rect = element.getBoundingClientRect();
+    const eligible = rect.width >= minSize && rect.height >= minSize;
+    element.classList.toggle(IMAGE_CLASS, eligible);
+  }
+
+  function scan(root) {
+    if (root.nodeType !== Node.ELEMENT_NODE) return;
+    if (root.matches(MEDIA_SELECTOR)) {
+      updateElement(root);
+    }
+    root.querySelectorAll(MEDIA_SELECTOR).forEach(updateElement);
+  }
+
+  function flushPending() {
+    flushTimer = null;
+    const roots = Array.from(pending);
+    pending = new Set();
+    roots.forEach(root => {
+      if (root.isConnected) scan(root);
+    });
+  }
+
+  // Images size themselves once loaded; load events don't bubble, so listen in the capture phase
+  function handleLoad(event) {
+    const target = event.target;
+    if (target && target.nodeType === Node.ELEMENT_NODE && target.matches(MEDIA_SELECTOR)) {
+      updateElement(target);
+    }
+  }
+
+  function startObserving() {
+    if (observer) return;
+
+    observer = new MutationObserver(mutations => {
+      mutations.forEach(mutation => {
+        mutation.addedNodes.forEach(node => {
+          if (node.nodeType === Node.ELEMENT_NODE) pending.add(node);
+        });
+      });
+      if (pending.size > 0 && !flushTimer) {
+        flushTimer = setTimeout(flushPending, 200);
+      }
+    });
+    observer.observe(document.documentElement, { childList: true, subtree: true });
+
+    document.addEventListener('load', handleLoad, true);
+    document.addEventListener('loadedmetadata', handleLoad, true);
+  }
+
+  function stopObserving() {
+    if (observer) {
+      observer.disconnect();
+      observer = null;
+    }
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+    pending = new Set();
+
+    document.removeEventListener('load', handleLoad, true);
+    document.removeEventListener('loadedmetadata', handleLoad, true);
+  }
+
+  /**
+   * Apply a treatment. options: { treatment, minSize, tokens } where tokens are the
+   * palette tokens for the current mode; 'none' removes everything
+   */
+  function apply(options) {
+    const treatment = TREATMENTS.includes(options.treatment) ? options.treatment : 'none';
+    if (treatment === 'none') {
+      remove();
+      return;
+    }
+
+    const nextMinSize = Number(options.minSize) >= 0 ? Number(options.minSize) : DEFAULT_MIN_SIZE;
+    const rescan = nextMinSize !== minSize || currentTreatment === 'none';
+    currentTreatment = treatment;
+    minSize = nextMinSize;
+
+    if (treatment === 'duotone' || treatment === 'dither') {
+      injectFilters(options.tokens || window.OwlRetroPalette.DEFAULT_TOKENS.light);
+    }
+    injectStyles();
+
+    if (rescan && document.body) {
+      scan(document.body);
+    }
+    startObserving();
+  }
+
+  /**
+   * Remove the styles, filters and markers
+   */
+  function remove() {
+    stopObserving();
+    currentTreatment = 'none';
+
+    [STYLE_ID, FILTERS_ID].forEach(id => {
+      const element = document.getElementById(id);
+      if (element) element.remove();
+    });
+    document.querySelectorAll(`.${IMAGE_CLASS}`).forEach(element => {
+      element.classList.remove(IMAGE_CLASS);
+    });
+  }
+
+  window.OwlRetroImageTreatment = {
+    TREATMENTS,
+    DEFAULT_MIN_SIZE,
+    apply,
+    remove
+  };
+})();
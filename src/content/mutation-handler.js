@@ -3,35 +3,88 @@
  * DOM değişikliklerini ve SPA navigasyonunu yönetir
  */
 
-import { PERFORMANCE_CONFIG, DEBUG } from '../utils/constants.js';
-import { analyzeElements } from './dom-analyzer.js';
+import { DATA_ATTRIBUTES, DEBUG } from '../utils/constants.js';
+import { analyzeSubtree } from './dom-analyzer.js';
 import { applyPatchPlans } from './theme-injector.js';
 
 let observer = null;
 let pendingElements = new Set();
-let scheduled = false;
+let draining = false;
 
-function scheduleFlush(mode, intensity) {
-  if (scheduled) return;
-  scheduled = true;
+// { mode, intensity, mapping, palette } the running observer maps with
+let settings = null;
 
-  requestAnimationFrame(async () => {
-    if (pendingElements.size === 0) {
-      scheduled = false;
-      return;
-    }
+// Bumped on stop, so a drain still running for an old observer gives up
+let generation = 0;
 
-    const elements = Array.from(pendingElements).slice(0, PERFORMANCE_CONFIG.MUTATION_BATCH_SIZE);
-    pendingElements.clear();
-    scheduled = false;
+/**
+ * Whether a class change only added or removed our own owl-* classes
+ * (theme, font and CRT classes, font-safety probes, element rules)
+ */
+function isOwnClassChange(mutation) {
+  const before = new Set((mutation.oldValue || '').split(/\s+/).filter(Boolean));
+  const after = new Set(mutation.target.classList);
+  const changed = [...before].filter(name => !after.has(name))
+    .concat([...after].filter(name => !before.has(name)));
+  return changed.every(name => name.startsWith('owl-'));
+}
 
-    const plans = analyzeElements(elements, mode, intensity);
-    await applyPatchPlans(plans);
-  });
+/**
+ * Whether an attribute change can need new patches: not on <html> or <body>, whose
+ * classes the theme itself toggles, not on patched elements, whose style our own
+ * patches change, and not one that only touched owl-* classes
+ */
+function isRelevantAttributeChange(mutation) {
+  const target = mutation.target;
+  if (target.nodeType !== Node.ELEMENT_NODE) return false;
+  if (target === document.documentElement || target === document.body) return false;
+  if (target.hasAttribute(DATA_ATTRIBUTES.PATCHED)) return false;
+  return mutation.attributeName !== 'class' || !isOwnClassChange(mutation);
 }
 
-export function startMutationObserver(mode, intensity) {
+/**
+ * Analyze queued elements one at a time, each subtree in idle-time chunks (see analyzeSubtree)
+ */
+async function drain() {
+  if (draining) return;
+  draining = true;
+  const id = generation;
+  const { mode, intensity, mapping, palette } = settings;
+
+  try {
+    while (pendingElements.size > 0 && id === generation) {
+      const [element] = pendingElements;
+      pendingElements.delete(element);
+
+      // Gone again, or queued along with an ancestor that covers it
+      if (!element.isConnected || [...pendingElements].some(other => other.contains(element))) {
+        continue;
+      }
+
+      await analyzeSubtree(element, mode, intensity, {
+        mapping,
+        palette,
+        includeRoot: true,
+        isCancelled: () => id !== generation,
+        onPlans: plans => applyPatchPlans(plans)
+      });
+    }
+  } finally {
+    draining = false;
+    // Stopped and restarted while this drain was busy; carry on with the new settings
+    if (observer && pendingElements.size > 0) {
+      drain();
+    }
+  }
+}
+
+/**
+ * Recolor elements added or restyled after the full scan, mapped like it
+ * (`mapping` and `palette` as in analyzeSubtree)
+ */
+export function startMutationObserver(mode, intensity, options = {}) {
   if (observer) return;
+  settings = { mode, intensity, ...options };
 
   observer = new MutationObserver(mutations => {
     mutations.forEach(mutation => {
@@ -42,18 +95,21 @@ export function startMutationObserver(mode, intensity) {
           }
         });
       }
-      if (mutation.type === 'attributes' && mutation.target.nodeType === Node.ELEMENT_NODE) {
+      if (mutation.type === 'attributes' && isRelevantAttributeChange(mutation)) {
         pendingElements.add(mutation.target);
       }
     });
 
-    scheduleFlush(mode, intensity);
+    if (pendingElements.size > 0) {
+      drain();
+    }
   });
 
   observer.observe(document.documentElement, {
     childList: true,
     subtree: true,
     attributes: true,
+    attributeOldValue: true,
     attributeFilter: ['style', 'class']
   });
 
@@ -67,6 +123,8 @@ export function stopMutationObserver() {
     observer.disconnect();
     observer = null;
   }
+  generation++;
+  pendingElements.clear();
 }
 
 // SPA navigation handling
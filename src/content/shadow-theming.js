@@ -0,0 +1,142 @@
+/**
+ * Owl Retro - Shadow DOM Theming
+ * Gölge DOM teması: tema CSS'inden tek bir CSSStyleSheet oluşturup açık gölge köklerine uygular
+ *
+ * Requires element-rules.js to be loaded first.
+ */
+
+(function() {
+  'use strict';
+
+  // One constructed sheet shared by every shadow root; emptied rather than detached when the theme is off
+  const sheet = new CSSStyleSheet();
+
+  // Page state the current sheet was built for (classes and mode on <html>)
+  let builtFor = null;
+
+  /**
+   * Split "html.owl-retro-dark > body .x" into the leading html compound and the rest
+   */
+  function splitHtmlCompound(selector) {
+    if (!/^html(?![\w-])/i.test(selector)) return null;
+
+    let depth = 0;
+    for (let index = 0; index < selector.length; index++) {
+      const char = selector[index];
+      if (char === '(' || char === '[') depth++;
+      if (char === ')' || char === ']') depth--;
+      if (depth === 0 && /[\s>+~]/.test(char)) {
+        return {
+          compound: selector.slice(0, index),
+          rest: selector.slice(index).replace(/^\s*[>+~]?\s*/, '')
+        };
+      }
+    }
+    return { compound: selector, rest: '' };
+  }
+
+  function htmlMatches(compound) {
+    try {
+      return document.documentElement.matches(compound);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Rewrite a theme selector for use inside a shadow tree, or return null to drop it.
+   * <html> isn't part of the tree, so "html.owl-retro-dark .x" becomes ".x" while
+   * <html> has those classes, and rules for other modes and styles are left out.
+   * Rules for <html> itself (and :root) are dropped rather than moved to :host: they
+   * size and paint the page, and their --owl-* properties already inherit into shadow trees.
+   */
+  function rewriteSelector(selector) {
+    const trimmed = selector.trim();
+    if (/^:root\b/.test(trimmed)) return null;
+
+    const parts = splitHtmlCompound(trimmed);
+    if (!parts) return trimmed;
+    if (!parts.rest || !htmlMatches(parts.compound)) return null;
+    return parts.rest;
+  }
+
+  /**
+   * Rewrite every style rule of a sheet in place, deleting rules left without selectors
+   */
+  function rewriteRules(target) {
+    const { splitSelectorList } = window.OwlRetroElementRules;
+
+    for (let index = target.cssRules.length - 1; index >= 0; index--) {
+      const rule = target.cssRules[index];
+
+      if (rule.selectorText) {
+        const selectors = splitSelectorList(rule.selectorText).map(rewriteSelector).filter(Boolean);
+        if (selectors.length === 0) {
+          target.deleteRule(index);
+        } else {
+          rule.selectorText = selectors.join(', ');
+        }
+      } else if (rule.cssRules && rule.type !== CSSRule.KEYFRAMES_RULE) {
+        rewriteRules(rule);
+        if (rule.cssRules.length === 0) target.deleteRule(index);
+      } else if (rule.type === CSSRule.FONT_FACE_RULE) {
+        // Font faces only load from the document, which already has them
+        target.deleteRule(index);
+      }
+    }
+  }
+
+  function getBuildKey() {
+    const html = document.documentElement;
+    return `${html.className}|${html.getAttribute('data-owl-theme')}`;
+  }
+
+  /**
+   * Rebuild the shared sheet from the theme stylesheet when <html> state changed.
+   * themeSheet is the CSSStyleSheet of #owl-retro-theme-styles (element rule guards included).
+   */
+  function update(themeSheet) {
+    if (!themeSheet) return;
+
+    const key = getBuildKey();
+    if (key === builtFor) return;
+    builtFor = key;
+
+    try {
+      const scratch = new CSSStyleSheet();
+      scratch.replaceSync(Array.from(themeSheet.cssRules).map(rule => rule.cssText).join('\n'));
+      rewriteRules(scratch);
+      sheet.replaceSync(Array.from(scratch.cssRules).map(rule => rule.cssText).join('\n'));
+    } catch (error) {
+      console.warn('Owl Retro: Could not build shadow DOM stylesheet', error);
+    }
+  }
+
+  /**
+   * Add the shared sheet to a shadow root (again, if the page replaced its sheets)
+   */
+  function adopt(shadowRoot) {
+    if (!shadowRoot || !('adoptedStyleSheets' in shadowRoot)) return;
+    if (shadowRoot.adoptedStyleSheets.includes(sheet)) return;
+
+    try {
+      shadowRoot.adoptedStyleSheets = [...shadowRoot.adoptedStyleSheets, sheet];
+    } catch (error) {
+      // Frozen arrays or foreign-document roots; nothing to do
+    }
+  }
+
+  /**
+   * Empty the sheet; roots keep it adopted so turning the theme back on is instant
+   */
+  function clear() {
+    builtFor = null;
+    sheet.replaceSync('');
+  }
+
+  window.OwlRetroShadowTheming = {
+    update,
+    adopt,
+    clear
+  };
+})();
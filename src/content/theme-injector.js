@@ -4,12 +4,16 @@
  */
 
 import { CSS_CLASSES, DATA_ATTRIBUTES, FONT_CONFIG, DEBUG, PERFORMANCE_CONFIG } from '../utils/constants.js';
+import '../utils/element-rules.js';
 
 // Store applied styles for reversal
 const appliedStyles = new WeakMap();
 let styleElement = null;
 let currentThemeClass = null;
 
+// Bumped on revert so batches still waiting for their turn are dropped
+let patchGeneration = 0;
+
 /**
  * Inject CSS file as style element
  */
@@ -84,29 +88,36 @@ export function applyMonospaceFont(enable = true) {
 /**
  * Apply patch plan to elements
  */
-export async function applyPatchPlans(plans) {
+export async function applyPatchPlans(plans, generation = patchGeneration) {
   const startTime = performance.now();
   let applied = 0;
   
-  for (const plan of plans) {
-    if (!plan.element || !plan.styles) continue;
+  for (let index = 0; index < plans.length; index++) {
+    // Reverted while this batch was waiting
+    if (generation !== patchGeneration) break;
+
+    const plan = plans[index];
+    if (!plan.element || !plan.styles || !plan.element.isConnected) continue;
     
-    // Store original styles
-    if (!appliedStyles.has(plan.element)) {
-      const originalStyles = {};
-      for (const prop in plan.styles) {
-        originalStyles[prop] = plan.element.style[prop] || '';
+    // Store original inline styles (value and priority) the first time each property is patched
+    const originalStyles = appliedStyles.get(plan.element) || {};
+    for (const prop in plan.styles) {
+      if (!(prop in originalStyles)) {
+        originalStyles[prop] = {
+          value: plan.element.style.getPropertyValue(prop),
+          priority: plan.element.style.getPropertyPriority(prop)
+        };
       }
-      appliedStyles.set(plan.element, originalStyles);
     }
+    appliedStyles.set(plan.element, originalStyles);
     
     // Apply new styles with high priority
     for (const [prop, value] of Object.entries(plan.styles)) {
       plan.element.style.setProperty(prop, value, 'important');
     }
     
-    // Mark as processed
-    plan.element.setAttribute(DATA_ATTRIBUTES.THEME_APPLIED, 'true');
+    // Mark as patched
+    plan.element.setAttribute(DATA_ATTRIBUTES.PATCHED, 'true');
     applied++;
     
     // Yield control periodically
@@ -120,8 +131,9 @@ export async function applyPatchPlans(plans) {
         console.log('Apply time budget exceeded, pausing');
       }
       // Schedule remaining work
+      const remaining = plans.slice(index + 1);
       setTimeout(() => {
-        applyPatchPlans(plans.slice(applied));
+        applyPatchPlans(remaining, generation);
       }, 0);
       break;
     }
@@ -136,18 +148,20 @@ export async function applyPatchPlans(plans) {
 }
 
 /**
- * Revert all applied styles
+ * Revert patched inline styles, leaving theme classes in place
  */
-export function revertAllStyles() {
-  const elements = document.querySelectorAll(`[${DATA_ATTRIBUTES.THEME_APPLIED}]`);
+export function revertPatchedStyles() {
+  patchGeneration++;
+
+  const elements = document.querySelectorAll(`[${DATA_ATTRIBUTES.PATCHED}]`);
   
   elements.forEach(element => {
     // Restore original styles
     const original = appliedStyles.get(element);
     if (original) {
-      for (const [prop, value] of Object.entries(original)) {
+      for (const [prop, { value, priority }] of Object.entries(original)) {
         if (value) {
-          element.style.setProperty(prop, value);
+          element.style.setProperty(prop, value, priority);
         } else {
           element.style.removeProperty(prop);
         }
@@ -156,8 +170,15 @@ export function revertAllStyles() {
     }
     
     // Remove marker attribute
-    element.removeAttribute(DATA_ATTRIBUTES.THEME_APPLIED);
+    element.removeAttribute(DATA_ATTRIBUTES.PATCHED);
   });
+}
+
+/**
+ * Revert all applied styles
+ */
+export function revertAllStyles() {
+  revertPatchedStyles();
   
   // Remove theme classes
   removeThemeClass();
@@ -221,31 +242,11 @@ export function generateCSSFromPlans(plans) {
 }
 
 /**
- * Create a unique selector for an element
+ * Create a unique selector for an element.
+ * Uses stable ids, attributes and classes plus :nth-of-type, so nothing is written to the page.
  */
 function createSelectorForElement(element) {
-  // Try ID first
-  if (element.id) {
-    return `#${CSS.escape(element.id)}`;
-  }
-  
-  // Try unique class combination
-  if (element.classList.length > 0) {
-    const classes = Array.from(element.classList)
-      .filter(c => !c.startsWith('owl-'))
-      .slice(0, 3)
-      .map(c => `.${CSS.escape(c)}`)
-      .join('');
-    
-    if (classes) {
-      return `${element.tagName.toLowerCase()}${classes}`;
-    }
-  }
-  
-  // Use data attribute selector as fallback
-  const uid = Math.random().toString(36).substr(2, 9);
-  element.setAttribute('data-owl-uid', uid);
-  return `[data-owl-uid="${uid}"]`;
+  return self.OwlRetroElementRules.buildSelector(element);
 }
 
 /**
@@ -3,9 +3,37 @@
  */
 
 let preferences = null;
+let customPalettes = {};
+let editingPalette = null;
+let currentTabUrl = null;
+let siteCSS = {};
+let editingSiteCSS = null;
+
+// Labels for the --owl-* tokens shown in the palette editor
+const TOKEN_LABELS = {
+  'bg-primary': 'Background',
+  'bg-secondary': 'Background 2',
+  'bg-tertiary': 'Background 3',
+  'text-primary': 'Text',
+  'text-secondary': 'Text 2',
+  'accent-1': 'Accent 1',
+  'accent-2': 'Accent 2',
+  'accent-3': 'Accent 3',
+  'border-color': 'Border',
+  'shadow-color': 'Shadow'
+};
+
+// CRT effects shown in the Retro Effects section; strength is 0-1
+const DEFAULT_CRT_EFFECTS = {
+  scanlines: { enabled: false, strength: 0.4 },
+  vignette: { enabled: false, strength: 0.4 },
+  glow: { enabled: false, strength: 0.4 },
+  cursor: { enabled: false, strength: 1 }
+};
 
 // Initialize
 document.addEventListener('DOMContentLoaded', async () => {
+  currentTabUrl = await getLastWebTabUrl();
   await loadPreferences();
   setupEventListeners();
 });
@@ -16,12 +44,35 @@ async function loadPreferences() {
   preferences = result.owl_preferences || {
     enabled: true,
     mode: 'auto',
+    themeStyle: 'full',
+    siteOverrides: {},
     useMonospace: true,
     intensity: 0.8,
+    palette: 'retro',
     siteAllowlist: [],
     siteBlocklist: [],
-    cacheEnabled: true
+    cacheEnabled: true,
+    deepRecolor: false,
+    colorMapping: 'perceptual',
+    imageTreatment: 'none',
+    imageMinSize: 96,
+    framePolicy: 'follow',
+    font: 'system-mono',
+    fontScope: 'all',
+    fontScale: 1,
+    lineHeightScale: 1,
+    crtEffects: DEFAULT_CRT_EFFECTS
   };
+
+  const paletteResult = await chrome.storage.sync.get('owl_custom_palettes');
+  const paletteCSSResult = await chrome.storage.local.get('owl_palette_css');
+  customPalettes = window.OwlRetroPalette.joinPaletteCSS(
+    paletteResult.owl_custom_palettes || {},
+    paletteCSSResult.owl_palette_css || {}
+  );
+
+  const cssResult = await chrome.storage.local.get('owl_site_css');
+  siteCSS = cssResult.owl_site_css || {};
   
   updateUI();
 }
@@ -29,12 +80,431 @@ async function loadPreferences() {
 // Update UI with current preferences
 function updateUI() {
   document.getElementById('default-mode').value = preferences.mode;
+  document.getElementById('default-theme-style').value = preferences.themeStyle || 'full';
   document.getElementById('enable-monospace').checked = preferences.useMonospace;
   document.getElementById('default-intensity').value = preferences.intensity * 100;
   document.getElementById('intensity-display').textContent = Math.round(preferences.intensity * 100) + '%';
+  document.getElementById('image-treatment').value = preferences.imageTreatment || 'none';
+  document.getElementById('image-min-size').value = preferences.imageMinSize !== undefined ? preferences.imageMinSize : 96;
+  document.getElementById('frame-policy').value = preferences.framePolicy || 'follow';
+  renderFontSettings();
+  renderCRTEffects();
   document.getElementById('enable-cache').checked = preferences.cacheEnabled;
+  document.getElementById('enable-deep-recolor').checked = Boolean(preferences.deepRecolor);
+  document.getElementById('color-mapping').value = preferences.colorMapping || 'perceptual';
   
+  renderSchedule();
+  renderPaletteSelect();
+  editPalette(preferences.palette);
   renderSiteLists();
+  renderSiteCSSSelect(editingSiteCSS);
+}
+
+// Fill the schedule fields from preferences
+function renderSchedule() {
+  const schedule = { ...window.OwlRetroSchedule.DEFAULT_SCHEDULE, ...preferences.schedule };
+
+  document.getElementById('schedule-type').value = schedule.type;
+  document.getElementById('schedule-dark-start').value = schedule.darkStart;
+  document.getElementById('schedule-dark-end').value = schedule.darkEnd;
+  document.getElementById('schedule-latitude').value = schedule.latitude ?? '';
+  document.getElementById('schedule-longitude').value = schedule.longitude ?? '';
+  renderSchedulePreview();
+}
+
+// Read the schedule fields
+function readSchedule() {
+  const readNumber = (id) => {
+    const value = parseFloat(document.getElementById(id).value);
+    return Number.isFinite(value) ? value : null;
+  };
+
+  return {
+    type: document.getElementById('schedule-type').value,
+    darkStart: document.getElementById('schedule-dark-start').value,
+    darkEnd: document.getElementById('schedule-dark-end').value,
+    latitude: readNumber('schedule-latitude'),
+    longitude: readNumber('schedule-longitude')
+  };
+}
+
+// Fill the font picker and sliders from preferences
+function renderFontSettings() {
+  const select = document.getElementById('font-family');
+  select.innerHTML = '';
+  window.OwlRetroFonts.listFonts().forEach(({ id, name }) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = name;
+    select.appendChild(option);
+  });
+
+  select.value = preferences.font || window.OwlRetroFonts.DEFAULT_FONT;
+  if (!select.value) select.value = window.OwlRetroFonts.DEFAULT_FONT;
+  document.getElementById('font-scope').value = preferences.fontScope || 'all';
+  document.getElementById('font-scale').value = Math.round((preferences.fontScale || 1) * 100);
+  document.getElementById('line-height-scale').value = Math.round((preferences.lineHeightScale || 1) * 100);
+  renderFontPreview();
+}
+
+// Show the picked font at the picked size in the preview line
+function renderFontPreview() {
+  const font = document.getElementById('font-family').value;
+  const fontScale = document.getElementById('font-scale').value / 100;
+  const lineHeightScale = document.getElementById('line-height-scale').value / 100;
+
+  document.getElementById('font-scale-display').textContent = Math.round(fontScale * 100) + '%';
+  document.getElementById('line-height-scale-display').textContent = Math.round(lineHeightScale * 100) + '%';
+
+  let style = document.getElementById('font-preview-styles');
+  if (!style) {
+    style = document.createElement('style');
+    style.id = 'font-preview-styles';
+    document.head.appendChild(style);
+  }
+  style.textContent = window.OwlRetroFonts.buildFontFace(font, fontScale, path => chrome.runtime.getURL(path));
+
+  const preview = document.getElementById('font-preview');
+  const lineHeight = window.OwlRetroFonts.FONTS[font].lineHeight || 1.5;
+  preview.style.fontFamily = window.OwlRetroFonts.getFontStack(font);
+  preview.style.lineHeight = String(Math.round(lineHeight * lineHeightScale * 100) / 100);
+}
+
+// Fill the CRT effect toggles and strength sliders from preferences
+function renderCRTEffects() {
+  const effects = preferences.crtEffects || {};
+
+  Object.keys(DEFAULT_CRT_EFFECTS).forEach(name => {
+    const effect = { ...DEFAULT_CRT_EFFECTS[name], ...effects[name] };
+    const strength = Math.round(effect.strength * 100);
+    document.getElementById(`crt-${name}`).checked = effect.enabled;
+    document.getElementById(`crt-${name}-strength`).value = strength;
+    document.getElementById(`crt-${name}-display`).textContent = strength + '%';
+  });
+}
+
+// Read the CRT effect toggles and strength sliders
+function readCRTEffects() {
+  const effects = {};
+  Object.keys(DEFAULT_CRT_EFFECTS).forEach(name => {
+    effects[name] = {
+      enabled: document.getElementById(`crt-${name}`).checked,
+      strength: document.getElementById(`crt-${name}-strength`).value / 100
+    };
+  });
+  return effects;
+}
+
+// Show the fields for the schedule type, validation errors, and when the mode switches next
+function renderSchedulePreview() {
+  const scheduleAPI = window.OwlRetroSchedule;
+  const schedule = readSchedule();
+  const isSun = schedule.type === scheduleAPI.SCHEDULE_TYPES.SUN;
+
+  document.getElementById('schedule-fixed').hidden = isSun;
+  document.getElementById('schedule-sun').hidden = !isSun;
+
+  const errors = scheduleAPI.validateSchedule(schedule);
+  const errorElement = document.getElementById('schedule-error');
+  const preview = document.getElementById('schedule-preview');
+  errorElement.textContent = errors.join(' ');
+  errorElement.hidden = errors.length === 0;
+  if (errors.length > 0) {
+    preview.textContent = '';
+    return errors;
+  }
+
+  const formatTime = (date) => date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  const now = new Date();
+  const mode = scheduleAPI.getScheduledMode(schedule, now);
+  const next = scheduleAPI.getNextBoundary(schedule, now);
+  let text = `Now: ${mode}.`;
+
+  if (next) {
+    text += ` Switches to ${mode === 'dark' ? 'light' : 'dark'} at ${formatTime(next)}.`;
+  }
+  if (isSun) {
+    const sun = scheduleAPI.getSunTimes(now, schedule.latitude, schedule.longitude);
+    text += sun.polar
+      ? ` The sun doesn't ${sun.polar === 'day' ? 'set' : 'rise'} here today.`
+      : ` Today: sunrise ${formatTime(sun.sunrise)}, sunset ${formatTime(sun.sunset)}.`;
+  }
+
+  preview.textContent = text;
+  return errors;
+}
+
+// Render the active palette dropdown
+function renderPaletteSelect() {
+  const select = document.getElementById('palette-select');
+  select.innerHTML = '';
+
+  window.OwlRetroPalette.listPalettes(customPalettes).forEach(({ id, name, builtin }) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = builtin ? `${name} (built-in)` : name;
+    select.appendChild(option);
+  });
+
+  select.value = preferences.palette || window.OwlRetroPalette.DEFAULT_PALETTE_ID;
+}
+
+// Load a palette into the editor
+function editPalette(id) {
+  const paletteAPI = window.OwlRetroPalette;
+  const resolved = paletteAPI.resolvePalette(id, customPalettes);
+  const isCustom = Boolean(customPalettes[id]);
+
+  editingPalette = {
+    id: isCustom ? id : null,
+    name: resolved.name,
+    light: { ...resolved.light },
+    dark: { ...resolved.dark },
+    font: resolved.font,
+    css: resolved.css
+  };
+
+  document.getElementById('palette-name').value = editingPalette.name;
+  document.getElementById('delete-palette').disabled = !isCustom;
+  renderPaletteEditor();
+}
+
+// Render color pickers for both modes
+function renderPaletteEditor() {
+  ['light', 'dark'].forEach(mode => {
+    const container = document.getElementById(`palette-${mode}-tokens`);
+    container.innerHTML = '';
+
+    Object.entries(editingPalette[mode]).forEach(([token, value]) => {
+      const row = document.createElement('label');
+      row.className = 'token-row';
+
+      const span = document.createElement('span');
+      span.textContent = TOKEN_LABELS[token] || token;
+
+      const input = document.createElement('input');
+      input.type = 'color';
+      input.value = window.OwlRetroPalette.toHex(value);
+      input.addEventListener('input', (e) => {
+        setPaletteToken(mode, token, e.target.value);
+        renderPalettePreview();
+      });
+
+      row.appendChild(span);
+      row.appendChild(input);
+      container.appendChild(row);
+    });
+  });
+
+  renderPalettePreview();
+}
+
+// Update one token, keeping the alpha of translucent tokens like shadows
+function setPaletteToken(mode, token, hex) {
+  const paletteAPI = window.OwlRetroPalette;
+  const previous = paletteAPI.parseColor(editingPalette[mode][token]);
+  const next = paletteAPI.parseColor(hex);
+
+  if (previous && previous.a < 1) {
+    editingPalette[mode][token] = paletteAPI.formatColor({ ...next, a: previous.a });
+  } else {
+    editingPalette[mode][token] = hex;
+  }
+}
+
+// Render the live preview swatches
+function renderPalettePreview() {
+  ['light', 'dark'].forEach(mode => {
+    const tokens = editingPalette[mode];
+    const swatch = document.getElementById(`palette-preview-${mode}`);
+    swatch.innerHTML = '';
+    swatch.style.background = tokens['bg-primary'];
+    swatch.style.color = tokens['text-secondary'];
+    swatch.style.borderColor = tokens['border-color'];
+    swatch.style.boxShadow = `0 2px 6px ${tokens['shadow-color']}`;
+
+    const heading = document.createElement('h4');
+    heading.textContent = mode === 'dark' ? 'Dark heading' : 'Light heading';
+    heading.style.color = tokens['text-primary'];
+
+    const text = document.createElement('p');
+    text.appendChild(document.createTextNode('Body text with a '));
+    const link = document.createElement('a');
+    link.textContent = 'link';
+    link.style.color = tokens['accent-1'];
+    text.appendChild(link);
+
+    const chips = document.createElement('div');
+    chips.className = 'preview-chips';
+    ['bg-secondary', 'bg-tertiary', 'accent-1', 'accent-2', 'accent-3'].forEach(token => {
+      const chip = document.createElement('span');
+      chip.style.background = tokens[token];
+      chip.title = TOKEN_LABELS[token];
+      chips.appendChild(chip);
+    });
+
+    swatch.appendChild(heading);
+    swatch.appendChild(text);
+    swatch.appendChild(chips);
+  });
+}
+
+// Save the palette being edited and make it active
+async function savePalette() {
+  const name = document.getElementById('palette-name').value.trim();
+  if (!name) {
+    alert('Please give the palette a name.');
+    return;
+  }
+
+  // Built-in palettes are read-only, so saving one creates a copy
+  const id = editingPalette.id || `custom-${Date.now().toString(36)}`;
+  const palette = {
+    name,
+    light: { ...editingPalette.light },
+    dark: { ...editingPalette.dark }
+  };
+  if (editingPalette.font) palette.font = editingPalette.font;
+  if (editingPalette.css) palette.css = editingPalette.css;
+
+  if (!(await storePalette(id, palette))) return;
+
+  preferences.palette = id;
+  renderPaletteSelect();
+  editPalette(id);
+  await savePreferences();
+}
+
+// Persist a palette, reporting storage errors such as the sync quota
+async function storePalette(id, palette) {
+  const previous = customPalettes[id];
+  customPalettes[id] = palette;
+
+  try {
+    await writeCustomPalettes();
+    return true;
+  } catch (error) {
+    if (previous) {
+      customPalettes[id] = previous;
+    } else {
+      delete customPalettes[id];
+    }
+    showThemeMessage(`Could not save palette: ${error.message}`, true);
+    return false;
+  }
+}
+
+// Write custom palettes to sync and their theme CSS to local storage (see splitPaletteCSS)
+async function writeCustomPalettes() {
+  const { palettes, css } = window.OwlRetroPalette.splitPaletteCSS(customPalettes);
+  await chrome.storage.sync.set({ owl_custom_palettes: palettes });
+  await chrome.storage.local.set({ owl_palette_css: css });
+}
+
+// Show a status message, under the palette editor unless another element is given
+function showThemeMessage(text, isError = false, elementId = 'theme-message') {
+  const message = document.getElementById(elementId);
+  message.textContent = text;
+  message.classList.toggle('error', isError);
+  message.hidden = false;
+}
+
+// Download the palette being edited as a theme file
+function exportTheme() {
+  const name = document.getElementById('palette-name').value.trim() || editingPalette.name;
+  // The picked retro font, or "default" when the retro font is off
+  const font = document.getElementById('enable-monospace').checked ? document.getElementById('font-family').value : 'default';
+  const text = window.OwlRetroThemeFormat.serializeTheme({ ...editingPalette, name }, { font });
+
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'palette';
+  const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${slug}.owl-theme.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+
+  showThemeMessage(`Exported "${name}".`);
+}
+
+// Read a theme file, store it as a new custom palette and make it active
+async function importTheme(file) {
+  let theme;
+  try {
+    theme = window.OwlRetroThemeFormat.parseThemeFile(await file.text());
+  } catch (error) {
+    showThemeMessage(`Could not import ${file.name}:\n${error.message}`, true);
+    return;
+  }
+
+  const id = `custom-${Date.now().toString(36)}`;
+  if (!(await storePalette(id, window.OwlRetroThemeFormat.themeToPalette(theme)))) return;
+
+  // A theme's font turns the retro font on with that font; "default" leaves both alone
+  const palette = customPalettes[id];
+  if (palette.font && palette.font !== 'default') {
+    document.getElementById('enable-monospace').checked = true;
+    document.getElementById('font-family').value = palette.font;
+    renderFontPreview();
+  }
+
+  preferences.palette = id;
+  renderPaletteSelect();
+  editPalette(id);
+  await savePreferences();
+  showThemeMessage(`Imported "${theme.name}".`);
+}
+
+// Delete the palette being edited
+async function deletePalette() {
+  const id = editingPalette.id;
+  if (!id || !customPalettes[id]) return;
+
+  if (!confirm(`Delete the palette "${customPalettes[id].name}"?`)) return;
+
+  delete customPalettes[id];
+  await writeCustomPalettes();
+
+  if (preferences.palette === id) {
+    preferences.palette = window.OwlRetroPalette.DEFAULT_PALETTE_ID;
+  }
+  renderPaletteSelect();
+  editPalette(preferences.palette);
+  await savePreferences();
+}
+
+// URL of the most recently used web page tab (the options page is itself the active tab)
+async function getLastWebTabUrl() {
+  try {
+    const tabs = await chrome.tabs.query({});
+    const webTabs = tabs
+      .filter(tab => tab.url && /^https?:/.test(tab.url))
+      .sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+    return webTabs.length > 0 ? webTabs[0].url : null;
+  } catch (error) {
+    console.error('Failed to get current tab:', error);
+    return null;
+  }
+}
+
+// Show which rule applies to the current tab
+function renderCurrentTabRule(match) {
+  const status = document.getElementById('current-tab-rule');
+
+  if (!currentTabUrl) {
+    status.textContent = '';
+    return;
+  }
+
+  const hostname = new URL(currentTabUrl).hostname;
+  if (match.rule) {
+    const verb = match.list === 'blocklist' ? 'blocked' : 'allowed';
+    status.textContent = `Current tab (${hostname}) is ${verb} by rule "${match.rule}".`;
+  } else if (match.allowed) {
+    status.textContent = `Current tab (${hostname}) matches no rule and is allowed.`;
+  } else {
+    status.textContent = `Current tab (${hostname}) matches no allowlist rule and is blocked.`;
+  }
 }
 
 // Render site lists
@@ -45,13 +515,23 @@ function renderSiteLists() {
   allowlist.innerHTML = '';
   blocklist.innerHTML = '';
   
+  const match = currentTabUrl ?
+    window.OwlRetroSiteRules.getSiteRuleMatch(preferences, currentTabUrl) :
+    { allowed: true, list: null, rule: null };
+  
   preferences.siteAllowlist.forEach(site => {
-    allowlist.appendChild(createSiteItem(site, 'allow'));
+    const item = createSiteItem(site, 'allow');
+    item.classList.toggle('matched', match.list === 'allowlist' && match.rule === site);
+    allowlist.appendChild(item);
   });
   
   preferences.siteBlocklist.forEach(site => {
-    blocklist.appendChild(createSiteItem(site, 'block'));
+    const item = createSiteItem(site, 'block');
+    item.classList.toggle('matched', match.list === 'blocklist' && match.rule === site);
+    blocklist.appendChild(item);
   });
+
+  renderCurrentTabRule(match);
   
   if (preferences.siteAllowlist.length === 0) {
     allowlist.innerHTML = '<p style="color: #999; font-size: 12px; padding: 10px;">No sites added</p>';
@@ -80,6 +560,22 @@ function createSiteItem(site, type) {
   return div;
 }
 
+// Lowercase host rules; regex rules keep their case
+function normalizeRule(value) {
+  const rule = value.trim();
+  return rule.startsWith('/') ? rule : rule.toLowerCase();
+}
+
+// Validate a rule, showing the problem under the input
+function checkRule(rule, errorId) {
+  const errorElement = document.getElementById(errorId);
+  const error = rule ? window.OwlRetroSiteRules.validateRule(rule) : null;
+
+  errorElement.textContent = error || '';
+  errorElement.hidden = !error;
+  return !error;
+}
+
 // Remove site from list
 function removeSite(site, type) {
   if (type === 'allow') {
@@ -91,6 +587,88 @@ function removeSite(site, type) {
   renderSiteLists();
 }
 
+// Render the site CSS dropdown and load the chosen snippet
+function renderSiteCSSSelect(selectedSite) {
+  const select = document.getElementById('site-css-select');
+  select.innerHTML = '';
+
+  const newOption = document.createElement('option');
+  newOption.value = '';
+  newOption.textContent = 'New snippet…';
+  select.appendChild(newOption);
+
+  Object.keys(siteCSS).sort().forEach(site => {
+    const option = document.createElement('option');
+    option.value = site;
+    option.textContent = site;
+    select.appendChild(option);
+  });
+
+  select.value = selectedSite && siteCSS[selectedSite] !== undefined ? selectedSite : '';
+  editSiteCSS(select.value);
+}
+
+// Load a snippet into the editor; new snippets default to the last visited site
+function editSiteCSS(site) {
+  editingSiteCSS = site || null;
+
+  let defaultSite = '';
+  if (!site && currentTabUrl) {
+    defaultSite = new URL(currentTabUrl).hostname;
+  }
+
+  document.getElementById('site-css-site').value = site || defaultSite;
+  document.getElementById('site-css-editor').value = site ? siteCSS[site] : '';
+  document.getElementById('delete-site-css').disabled = !site;
+}
+
+// Validate and store the snippet being edited
+async function saveSiteCSS() {
+  const site = normalizeRule(document.getElementById('site-css-site').value);
+  const css = document.getElementById('site-css-editor').value;
+
+  const ruleError = site ? window.OwlRetroSiteRules.validateRule(site) : 'Enter the site the CSS is for.';
+  const errors = (ruleError ? [ruleError] : []).concat(window.OwlRetroUserCSS.validateSnippet(css));
+  if (errors.length > 0) {
+    showThemeMessage(`Could not save CSS:\n- ${errors.join('\n- ')}`, true, 'site-css-message');
+    return;
+  }
+
+  const updated = { ...siteCSS };
+  if (editingSiteCSS && editingSiteCSS !== site) {
+    delete updated[editingSiteCSS];
+  }
+  if (css.trim()) {
+    updated[site] = css;
+  } else {
+    delete updated[site];
+  }
+
+  try {
+    await chrome.storage.local.set({ owl_site_css: updated });
+  } catch (error) {
+    showThemeMessage(`Could not save CSS: ${error.message}`, true, 'site-css-message');
+    return;
+  }
+
+  siteCSS = updated;
+  renderSiteCSSSelect(site);
+  showThemeMessage(css.trim() ? `Saved CSS for ${site}.` : `Removed CSS for ${site}.`, false, 'site-css-message');
+}
+
+// Delete the snippet being edited
+async function deleteSiteCSS() {
+  if (!editingSiteCSS || !confirm(`Delete the CSS for ${editingSiteCSS}?`)) return;
+
+  const updated = { ...siteCSS };
+  delete updated[editingSiteCSS];
+  await chrome.storage.local.set({ owl_site_css: updated });
+
+  siteCSS = updated;
+  renderSiteCSSSelect(null);
+  showThemeMessage('CSS deleted.', false, 'site-css-message');
+}
+
 // Set up event listeners
 function setupEventListeners() {
   // Intensity slider
@@ -98,10 +676,72 @@ function setupEventListeners() {
     document.getElementById('intensity-display').textContent = e.target.value + '%';
   });
   
+  // Font picker preview
+  ['font-family', 'font-scale', 'line-height-scale'].forEach(id => {
+    document.getElementById(id).addEventListener('input', renderFontPreview);
+  });
+
+  // CRT effect strength sliders
+  Object.keys(DEFAULT_CRT_EFFECTS).forEach(name => {
+    document.getElementById(`crt-${name}-strength`).addEventListener('input', (e) => {
+      document.getElementById(`crt-${name}-display`).textContent = e.target.value + '%';
+    });
+  });
+
+  // Mode schedule
+  ['schedule-type', 'schedule-dark-start', 'schedule-dark-end', 'schedule-latitude', 'schedule-longitude'].forEach(id => {
+    document.getElementById(id).addEventListener('input', renderSchedulePreview);
+  });
+
+  // Palette selection and editor
+  document.getElementById('palette-select').addEventListener('change', (e) => {
+    editPalette(e.target.value);
+  });
+
+  document.getElementById('new-palette').addEventListener('click', () => {
+    editingPalette.id = null;
+    editingPalette.name = '';
+    document.getElementById('palette-name').value = '';
+    document.getElementById('delete-palette').disabled = true;
+    document.getElementById('palette-name').focus();
+  });
+
+  document.getElementById('save-palette').addEventListener('click', savePalette);
+  document.getElementById('export-theme').addEventListener('click', exportTheme);
+
+  document.getElementById('import-theme').addEventListener('click', () => {
+    document.getElementById('import-theme-file').click();
+  });
+
+  document.getElementById('import-theme-file').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) {
+      await importTheme(file);
+    }
+  });
+  document.getElementById('delete-palette').addEventListener('click', deletePalette);
+  
+  // Site CSS
+  document.getElementById('site-css-select').addEventListener('change', (e) => {
+    editSiteCSS(e.target.value);
+  });
+  document.getElementById('save-site-css').addEventListener('click', saveSiteCSS);
+  document.getElementById('delete-site-css').addEventListener('click', deleteSiteCSS);
+
+  // Tab inserts indentation instead of leaving the editor
+  document.getElementById('site-css-editor').addEventListener('keydown', (e) => {
+    if (e.key === 'Tab' && !e.shiftKey) {
+      e.preventDefault();
+      e.target.setRangeText('  ', e.target.selectionStart, e.target.selectionEnd, 'end');
+    }
+  });
+
   // Add allow site
   document.getElementById('add-allow-site').addEventListener('click', () => {
     const input = document.getElementById('allow-site-input');
-    const site = input.value.trim().toLowerCase();
+    const site = normalizeRule(input.value);
+    if (!checkRule(site, 'allow-site-error')) return;
     
     if (site && !preferences.siteAllowlist.includes(site)) {
       preferences.siteAllowlist.push(site);
@@ -114,7 +754,8 @@ function setupEventListeners() {
   // Add block site
   document.getElementById('add-block-site').addEventListener('click', () => {
     const input = document.getElementById('block-site-input');
-    const site = input.value.trim().toLowerCase();
+    const site = normalizeRule(input.value);
+    if (!checkRule(site, 'block-site-error')) return;
     
     if (site && !preferences.siteBlocklist.includes(site)) {
       preferences.siteBlocklist.push(site);
@@ -139,7 +780,7 @@ function setupEventListeners() {
   
   // Clear all cache
   document.getElementById('clear-all-cache').addEventListener('click', async () => {
-    const response = await chrome.runtime.sendMessage({ action: 'clearAllCache' });
+    const response = await OwlRetroMessages.sendToRuntime(OwlRetroMessages.ACTIONS.CLEAR_ALL_CACHE);
     if (response.success) {
       const button = document.getElementById('clear-all-cache');
       const originalText = button.textContent;
@@ -156,11 +797,25 @@ function setupEventListeners() {
       preferences = {
         enabled: true,
         mode: 'auto',
+        themeStyle: 'full',
+        siteOverrides: {},
+        schedule: { ...window.OwlRetroSchedule.DEFAULT_SCHEDULE },
         useMonospace: true,
         intensity: 0.8,
+        palette: 'retro',
         siteAllowlist: [],
         siteBlocklist: [],
-        cacheEnabled: true
+        cacheEnabled: true,
+        deepRecolor: false,
+        colorMapping: 'perceptual',
+        imageTreatment: 'none',
+        imageMinSize: 96,
+        framePolicy: 'follow',
+        font: 'system-mono',
+        fontScope: 'all',
+        fontScale: 1,
+        lineHeightScale: 1,
+        crtEffects: DEFAULT_CRT_EFFECTS
       };
       updateUI();
       savePreferences();
@@ -173,10 +828,28 @@ function setupEventListeners() {
 
 // Save preferences
 async function savePreferences() {
+  if (renderSchedulePreview().length > 0) {
+    document.getElementById('schedule-error').scrollIntoView({ block: 'center' });
+    return;
+  }
+
+  preferences.schedule = readSchedule();
   preferences.mode = document.getElementById('default-mode').value;
+  preferences.themeStyle = document.getElementById('default-theme-style').value;
   preferences.useMonospace = document.getElementById('enable-monospace').checked;
   preferences.intensity = document.getElementById('default-intensity').value / 100;
+  preferences.imageTreatment = document.getElementById('image-treatment').value;
+  preferences.imageMinSize = Math.max(0, parseInt(document.getElementById('image-min-size').value, 10) || 0);
+  preferences.framePolicy = document.getElementById('frame-policy').value;
+  preferences.font = document.getElementById('font-family').value;
+  preferences.fontScope = document.getElementById('font-scope').value;
+  preferences.fontScale = document.getElementById('font-scale').value / 100;
+  preferences.lineHeightScale = document.getElementById('line-height-scale').value / 100;
+  preferences.crtEffects = readCRTEffects();
   preferences.cacheEnabled = document.getElementById('enable-cache').checked;
+  preferences.deepRecolor = document.getElementById('enable-deep-recolor').checked;
+  preferences.colorMapping = document.getElementById('color-mapping').value;
+  preferences.palette = document.getElementById('palette-select').value;
   
   await chrome.storage.sync.set({ owl_preferences: preferences });
   
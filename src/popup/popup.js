@@ -6,6 +6,12 @@
 let currentTab = null;
 let preferences = null;
 
+// Settings changed in site or path scope before there is an override to hold them; Save stores them
+let pendingOverride = null;
+
+// Message actions shared with the content scripts and service worker
+const { ACTIONS } = OwlRetroMessages;
+
 // Check if URL is valid for content script injection
 function isValidUrl(url) {
   if (!url) return false;
@@ -17,6 +23,89 @@ function isValidUrl(url) {
   }
 }
 
+// Get hostname of the current tab
+function getCurrentHostname() {
+  if (!currentTab || !currentTab.url) return null;
+  try {
+    return new URL(currentTab.url).hostname;
+  } catch {
+    return null;
+  }
+}
+
+// Effective settings for the current tab (global -> site -> path -> unsaved changes)
+function resolveSettings() {
+  const url = currentTab && isValidUrl(currentTab.url) ? currentTab.url : null;
+  const resolved = window.OwlRetroSiteRules.resolveSiteSettings(preferences, url);
+  if (pendingOverride && resolved.overrideKeys.length === 0) {
+    resolved.settings = { ...resolved.settings, ...pendingOverride };
+  }
+  return resolved;
+}
+
+// Most specific override applied to the current tab, or null
+function getActiveOverrideKey() {
+  const { overrideKeys } = resolveSettings();
+  return overrideKeys.length > 0 ? overrideKeys[overrideKeys.length - 1] : null;
+}
+
+// Override key for the chosen scope: "host" or "host/first-path-segment"
+function getOverrideKeyForScope(scope) {
+  const hostname = getCurrentHostname();
+  if (!hostname) return null;
+  if (scope !== 'path') return hostname;
+
+  const segment = new URL(currentTab.url).pathname.split('/')[1];
+  return segment ? `${hostname}/${segment}` : null;
+}
+
+// Without an override, site and path scope collect changes until "Save" instead of editing global settings
+function isPendingScope() {
+  const scope = document.getElementById('override-scope').value;
+  return !getActiveOverrideKey() && scope !== 'global' && Boolean(getOverrideKeyForScope(scope));
+}
+
+// Store a setting in the active site override, the pending one, or globally.
+// Returns whether preferences changed and need saving.
+function setSetting(field, value) {
+  if (isPendingScope()) {
+    pendingOverride = { ...pendingOverride, [field]: value };
+    updateOverrideStatus();
+    return false;
+  }
+
+  const url = currentTab && isValidUrl(currentTab.url) ? currentTab.url : null;
+  preferences = window.OwlRetroSiteRules.updateSetting(preferences, url, field, value);
+  return true;
+}
+
+// Show unsaved site or path changes on the page without storing them; refreshTab undoes this
+async function previewPendingOverride() {
+  const overrideKey = getOverrideKeyForScope(document.getElementById('override-scope').value);
+  if (!pendingOverride || !overrideKey || !currentTab || !currentTab.id || !isValidUrl(currentTab.url)) return;
+
+  const preview = {
+    ...preferences,
+    siteOverrides: { ...preferences.siteOverrides, [overrideKey]: pendingOverride }
+  };
+  try {
+    await OwlRetroMessages.sendToTab(currentTab.id, ACTIONS.PREFERENCES_UPDATED, { preferences: preview });
+  } catch (error) {
+    console.log('Content script not available for preview');
+  }
+}
+
+// Fill the font picker from the bundled and system fonts
+function renderFontOptions() {
+  const select = document.getElementById('font-family');
+  window.OwlRetroFonts.listFonts().forEach(({ id, name }) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = name;
+    select.appendChild(option);
+  });
+}
+
 // Initialize popup
 document.addEventListener('DOMContentLoaded', async () => {
   // Get current tab
@@ -34,6 +123,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   }
   
   // Load preferences
+  renderFontOptions();
   await loadPreferences();
   
   // Set up event listeners
@@ -46,8 +136,11 @@ async function loadPreferences() {
   preferences = result.owl_preferences || {
     enabled: true,
     mode: 'auto',
+    themeStyle: 'full',
+    siteOverrides: {},
     useMonospace: true,
     intensity: 0.8,
+    palette: 'retro',
     siteAllowlist: [],
     siteBlocklist: []
   };
@@ -58,22 +151,68 @@ async function loadPreferences() {
 
 // Update UI elements
 function updateUI() {
+  const { settings } = resolveSettings();
+
   // Enable toggle
   document.getElementById('enable-toggle').checked = preferences.enabled;
   updateStatus(preferences.enabled);
   
   // Mode buttons
   document.querySelectorAll('.mode-btn').forEach(btn => {
-    btn.classList.toggle('active', btn.dataset.mode === preferences.mode);
+    btn.classList.toggle('active', btn.dataset.mode === settings.mode);
+  });
+  
+  // Theme style buttons
+  const themeStyle = settings.themeStyle || 'full';
+  document.querySelectorAll('.style-btn').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.style === themeStyle);
   });
   
   // Font toggle
-  document.getElementById('font-toggle').checked = preferences.useMonospace;
+  document.getElementById('font-toggle').checked = settings.useMonospace;
+  document.getElementById('font-family').value = settings.font || window.OwlRetroFonts.DEFAULT_FONT;
+  document.getElementById('font-scope').value = settings.fontScope || 'all';
+
+  // Image treatment toggle, only when a treatment is chosen globally
+  const globalTreatment = preferences.imageTreatment || 'none';
+  document.getElementById('image-control').hidden = globalTreatment === 'none';
+  document.getElementById('image-toggle').checked = (settings.imageTreatment || 'none') !== 'none';
+
+  // Frame policy
+  document.getElementById('frame-policy').value = settings.framePolicy || 'follow';
   
   // Intensity slider
-  const intensityValue = Math.round(preferences.intensity * 100);
+  const intensityValue = Math.round(settings.intensity * 100);
   document.getElementById('intensity-slider').value = intensityValue;
   document.getElementById('intensity-value').textContent = intensityValue + '%';
+
+  updateOverrideStatus();
+}
+
+// Show which settings the controls are editing
+function updateOverrideStatus() {
+  const overrideKey = getActiveOverrideKey();
+  const scope = document.getElementById('override-scope').value;
+  const status = document.getElementById('override-status');
+
+  if (overrideKey) {
+    status.textContent = `Site override: ${overrideKey}`;
+  } else if (isPendingScope()) {
+    status.textContent = pendingOverride
+      ? `Unsaved override: ${getOverrideKeyForScope(scope)}`
+      : `Editing override: ${getOverrideKeyForScope(scope)}`;
+  } else {
+    status.textContent = 'Using global settings';
+  }
+  status.classList.toggle('active', Boolean(overrideKey || pendingOverride));
+  document.getElementById('clear-override').disabled = !overrideKey && !pendingOverride;
+  document.getElementById('save-override').disabled = scope === 'global' || !getOverrideKeyForScope(scope);
+
+  // Path scope needs a path to scope to
+  const pathOption = document.querySelector('#override-scope option[value="path"]');
+  const pathKey = getOverrideKeyForScope('path');
+  pathOption.disabled = !pathKey;
+  pathOption.textContent = pathKey ? `This path (${pathKey})` : 'This path';
 }
 
 // Update status indicator
@@ -93,14 +232,15 @@ function updateStatus(enabled) {
 // Save preferences to storage
 async function savePreferences() {
   await chrome.storage.sync.set({ owl_preferences: preferences });
-  
+  await refreshTab();
+}
+
+// Send the saved preferences to the current tab, e.g. to undo a preview of unsaved changes
+async function refreshTab() {
   // Send message to current tab if content script is available
   if (currentTab && currentTab.id && isValidUrl(currentTab.url)) {
     try {
-      await chrome.tabs.sendMessage(currentTab.id, {
-        action: 'preferencesUpdated',
-        preferences: preferences
-      });
+      await OwlRetroMessages.sendToTab(currentTab.id, ACTIONS.PREFERENCES_UPDATED, { preferences });
     } catch (error) {
       // Content script not available - this is normal for some pages
       console.log('Content script not available for this tab');
@@ -119,10 +259,7 @@ function setupEventListeners() {
     // Send toggle message to content script
     if (currentTab && currentTab.id && isValidUrl(currentTab.url)) {
       try {
-        chrome.tabs.sendMessage(currentTab.id, {
-          action: 'toggle',
-          enabled: e.target.checked
-        });
+        await OwlRetroMessages.sendToTab(currentTab.id, ACTIONS.TOGGLE, { enabled: e.target.checked });
       } catch (error) {
         console.log('Content script not available for toggle');
       }
@@ -136,17 +273,15 @@ function setupEventListeners() {
       document.querySelectorAll('.mode-btn').forEach(b => b.classList.remove('active'));
       btn.classList.add('active');
       
-      // Update preference
-      preferences.mode = btn.dataset.mode;
-      await savePreferences();
+      // Update preference (site override if one applies)
+      if (setSetting('mode', btn.dataset.mode)) {
+        await savePreferences();
+      }
       
       // Send message to content script
       if (currentTab && currentTab.id && isValidUrl(currentTab.url)) {
         try {
-          chrome.tabs.sendMessage(currentTab.id, {
-            action: 'changeMode',
-            mode: btn.dataset.mode
-          });
+          await OwlRetroMessages.sendToTab(currentTab.id, ACTIONS.CHANGE_MODE, { mode: btn.dataset.mode });
         } catch (error) {
           console.log('Content script not available for mode change');
         }
@@ -154,40 +289,141 @@ function setupEventListeners() {
     });
   });
   
+  // Theme style buttons (always saved for the current site)
+  document.querySelectorAll('.style-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const hostname = getCurrentHostname();
+      if (!hostname) return;
+
+      document.querySelectorAll('.style-btn').forEach(b => b.classList.remove('active'));
+      btn.classList.add('active');
+
+      // Without an override, only create one when the style differs from the default
+      let changed = true;
+      if (getActiveOverrideKey() || isPendingScope()) {
+        changed = setSetting('themeStyle', btn.dataset.style);
+      } else if (btn.dataset.style !== (preferences.themeStyle || 'full')) {
+        preferences.siteOverrides = {
+          ...preferences.siteOverrides,
+          [hostname]: { themeStyle: btn.dataset.style }
+        };
+      }
+      updateOverrideStatus();
+      if (changed) {
+        await savePreferences();
+      }
+
+      // Send message to content script
+      if (currentTab && currentTab.id && isValidUrl(currentTab.url)) {
+        try {
+          await OwlRetroMessages.sendToTab(currentTab.id, ACTIONS.CHANGE_THEME_STYLE, { themeStyle: btn.dataset.style });
+        } catch (error) {
+          console.log('Content script not available for theme style change');
+        }
+      }
+    });
+  });
+  
   // Font toggle
   document.getElementById('font-toggle').addEventListener('change', async (e) => {
-    preferences.useMonospace = e.target.checked;
-    await savePreferences();
+    if (setSetting('useMonospace', e.target.checked)) {
+      await savePreferences();
+    }
     
     // Send message to content script
     if (currentTab && currentTab.id && isValidUrl(currentTab.url)) {
       try {
-        chrome.tabs.sendMessage(currentTab.id, {
-          action: 'toggleFont',
-          useMonospace: e.target.checked
-        });
+        await OwlRetroMessages.sendToTab(currentTab.id, ACTIONS.TOGGLE_FONT, { useMonospace: e.target.checked });
       } catch (error) {
         console.log('Content script not available for font toggle');
       }
     }
   });
   
+  // Font and where it applies (site override if one applies)
+  [['font-family', 'font'], ['font-scope', 'fontScope']].forEach(([id, field]) => {
+    document.getElementById(id).addEventListener('change', async (e) => {
+      if (setSetting(field, e.target.value)) {
+        await savePreferences();
+      } else {
+        await previewPendingOverride();
+      }
+    });
+  });
+
+  // Image treatment toggle (always saved for the current site)
+  document.getElementById('image-toggle').addEventListener('change', async (e) => {
+    const hostname = getCurrentHostname();
+    if (!hostname) return;
+
+    const overrideKey = getActiveOverrideKey();
+    if (isPendingScope()) {
+      setSetting('imageTreatment', e.target.checked ? (preferences.imageTreatment || 'none') : 'none');
+      await previewPendingOverride();
+      return;
+    }
+
+    if (!e.target.checked) {
+      if (overrideKey) {
+        setSetting('imageTreatment', 'none');
+      } else {
+        preferences.siteOverrides = {
+          ...preferences.siteOverrides,
+          [hostname]: { imageTreatment: 'none' }
+        };
+      }
+    } else if (overrideKey) {
+      // Back to the global treatment; drop an override that only existed to turn images off
+      const { imageTreatment, ...rest } = preferences.siteOverrides[overrideKey];
+      if (Object.keys(rest).length === 0) {
+        const siteOverrides = { ...preferences.siteOverrides };
+        delete siteOverrides[overrideKey];
+        preferences.siteOverrides = siteOverrides;
+      }
+      if ((resolveSettings().settings.imageTreatment || 'none') === 'none') {
+        setSetting('imageTreatment', preferences.imageTreatment);
+      }
+    }
+    updateOverrideStatus();
+    await savePreferences();
+  });
+
+  // Frame policy (always saved for the current site)
+  document.getElementById('frame-policy').addEventListener('change', async (e) => {
+    const hostname = getCurrentHostname();
+    if (!hostname) return;
+
+    // Without an override, only create one when the policy differs from the default
+    if (getActiveOverrideKey() || isPendingScope()) {
+      if (!setSetting('framePolicy', e.target.value)) {
+        await previewPendingOverride();
+        return;
+      }
+    } else if (e.target.value !== (preferences.framePolicy || 'follow')) {
+      preferences.siteOverrides = {
+        ...preferences.siteOverrides,
+        [hostname]: { framePolicy: e.target.value }
+      };
+    }
+    updateOverrideStatus();
+    await savePreferences();
+  });
+
   // Intensity slider
   document.getElementById('intensity-slider').addEventListener('input', (e) => {
     document.getElementById('intensity-value').textContent = e.target.value + '%';
   });
   
   document.getElementById('intensity-slider').addEventListener('change', async (e) => {
-    preferences.intensity = parseInt(e.target.value) / 100;
-    await savePreferences();
+    const intensity = parseInt(e.target.value) / 100;
+    if (setSetting('intensity', intensity)) {
+      await savePreferences();
+    }
     
     // Send message to content script
     if (currentTab && currentTab.id && isValidUrl(currentTab.url)) {
       try {
-        chrome.tabs.sendMessage(currentTab.id, {
-          action: 'changeIntensity',
-          intensity: preferences.intensity
-        });
+        await OwlRetroMessages.sendToTab(currentTab.id, ACTIONS.CHANGE_INTENSITY, { intensity });
       } catch (error) {
         console.log('Content script not available for intensity change');
       }
@@ -243,6 +479,75 @@ function setupEventListeners() {
     }
   });
   
+  // Element picker runs in the page, so close the popup to let the user click
+  document.getElementById('pick-element').addEventListener('click', async () => {
+    if (!currentTab || !currentTab.id || !isValidUrl(currentTab.url)) return;
+
+    try {
+      await OwlRetroMessages.sendToTab(currentTab.id, ACTIONS.START_PICKER, {}, { frameId: 0 });
+      window.close();
+    } catch (error) {
+      console.log('Content script not available for element picker');
+    }
+  });
+
+  // Save the current controls as an override for this site or path
+  document.getElementById('save-override').addEventListener('click', async () => {
+    const scope = document.getElementById('override-scope').value;
+    const overrideKey = scope !== 'global' ? getOverrideKeyForScope(scope) : null;
+    if (!overrideKey) return;
+
+    const { settings } = resolveSettings();
+    preferences.siteOverrides = {
+      ...preferences.siteOverrides,
+      [overrideKey]: {
+        mode: settings.mode,
+        useMonospace: settings.useMonospace,
+        font: settings.font || window.OwlRetroFonts.DEFAULT_FONT,
+        fontScope: settings.fontScope || 'all',
+        fontScale: settings.fontScale || 1,
+        lineHeightScale: settings.lineHeightScale || 1,
+        intensity: settings.intensity,
+        themeStyle: settings.themeStyle || 'full',
+        imageTreatment: settings.imageTreatment || 'none',
+        framePolicy: settings.framePolicy || 'follow'
+      }
+    };
+    pendingOverride = null;
+    await savePreferences();
+    updateUI();
+  });
+
+  // Leaving site or path scope drops unsaved changes
+  document.getElementById('override-scope').addEventListener('change', (e) => {
+    if (e.target.value === 'global' && pendingOverride) {
+      pendingOverride = null;
+      updateUI();
+      refreshTab();
+    } else {
+      updateOverrideStatus();
+    }
+  });
+
+  // Remove the most specific override, or discard unsaved changes; the page falls back to the next level
+  document.getElementById('clear-override').addEventListener('click', async () => {
+    const overrideKey = getActiveOverrideKey();
+    if (!overrideKey) {
+      if (pendingOverride) {
+        pendingOverride = null;
+        updateUI();
+        refreshTab();
+      }
+      return;
+    }
+
+    const siteOverrides = { ...preferences.siteOverrides };
+    delete siteOverrides[overrideKey];
+    preferences.siteOverrides = siteOverrides;
+    await savePreferences();
+    updateUI();
+  });
+  
   // Clear cache button
   document.getElementById('clear-cache').addEventListener('click', async () => {
     if (currentTab && currentTab.url) {
@@ -252,6 +557,13 @@ function setupEventListeners() {
         const cacheKey = `owl_cache_${hostname}`;
         
         await chrome.storage.local.remove(cacheKey);
+
+        // Icon fonts are detected again on the next visit
+        const { owl_icon_fonts: iconFonts } = await chrome.storage.local.get('owl_icon_fonts');
+        if (iconFonts && iconFonts[hostname]) {
+          delete iconFonts[hostname];
+          await chrome.storage.local.set({ owl_icon_fonts: iconFonts });
+        }
         
         // Show feedback (optional - you can add a toast notification)
         const btn = document.getElementById('clear-cache');
@@ -3,23 +3,606 @@
  * Renk dönüşüm, eşleme ve manipülasyon fonksiyonları
  */
 
-import { RETRO_PALETTE, COLOR_STRATEGY } from './constants.js';
+import { RETRO_PALETTE, COLOR_STRATEGY, COLOR_MAPPINGS } from './constants.js';
+
+// CSS named colors (CSS Color 4), as rrggbb
+const NAMED_COLORS = {
+  aliceblue: 'f0f8ff', antiquewhite: 'faebd7', aqua: '00ffff', aquamarine: '7fffd4', azure: 'f0ffff',
+  beige: 'f5f5dc', bisque: 'ffe4c4', black: '000000', blanchedalmond: 'ffebcd', blue: '0000ff',
+  blueviolet: '8a2be2', brown: 'a52a2a', burlywood: 'deb887', cadetblue: '5f9ea0', chartreuse: '7fff00',
+  chocolate: 'd2691e', coral: 'ff7f50', cornflowerblue: '6495ed', cornsilk: 'fff8dc', crimson: 'dc143c',
+  cyan: '00ffff', darkblue: '00008b', darkcyan: '008b8b', darkgoldenrod: 'b8860b', darkgray: 'a9a9a9',
+  darkgreen: '006400', darkgrey: 'a9a9a9', darkkhaki: 'bdb76b', darkmagenta: '8b008b', darkolivegreen: '556b2f',
+  darkorange: 'ff8c00', darkorchid: '9932cc', darkred: '8b0000', darksalmon: 'e9967a', darkseagreen: '8fbc8f',
+  darkslateblue: '483d8b', darkslategray: '2f4f4f', darkslategrey: '2f4f4f', darkturquoise: '00ced1', darkviolet: '9400d3',
+  deeppink: 'ff1493', deepskyblue: '00bfff', dimgray: '696969', dimgrey: '696969', dodgerblue: '1e90ff',
+  firebrick: 'b22222', floralwhite: 'fffaf0', forestgreen: '228b22', fuchsia: 'ff00ff', gainsboro: 'dcdcdc',
+  ghostwhite: 'f8f8ff', gold: 'ffd700', goldenrod: 'daa520', gray: '808080', green: '008000',
+  greenyellow: 'adff2f', grey: '808080', honeydew: 'f0fff0', hotpink: 'ff69b4', indianred: 'cd5c5c',
+  indigo: '4b0082', ivory: 'fffff0', khaki: 'f0e68c', lavender: 'e6e6fa', lavenderblush: 'fff0f5',
+  lawngreen: '7cfc00', lemonchiffon: 'fffacd', lightblue: 'add8e6', lightcoral: 'f08080', lightcyan: 'e0ffff',
+  lightgoldenrodyellow: 'fafad2', lightgray: 'd3d3d3', lightgreen: '90ee90', lightgrey: 'd3d3d3', lightpink: 'ffb6c1',
+  lightsalmon: 'ffa07a', lightseagreen: '20b2aa', lightskyblue: '87cefa', lightslategray: '778899', lightslategrey: '778899',
+  lightsteelblue: 'b0c4de', lightyellow: 'ffffe0', lime: '00ff00', limegreen: '32cd32', linen: 'faf0e6',
+  magenta: 'ff00ff', maroon: '800000', mediumaquamarine: '66cdaa', mediumblue: '0000cd', mediumorchid: 'ba55d3',
+  mediumpurple: '9370db', mediumseagreen: '3cb371', mediumslateblue: '7b68ee', mediumspringgreen: '00fa9a', mediumturquoise: '48d1cc',
+  mediumvioletred: 'c71585', midnightblue: '191970', mintcream: 'f5fffa', mistyrose: 'ffe4e1', moccasin: 'ffe4b5',
+  navajowhite: 'ffdead', navy: '000080', oldlace: 'fdf5e6', olive: '808000', olivedrab: '6b8e23',
+  orange: 'ffa500', orangered: 'ff4500', orchid: 'da70d6', palegoldenrod: 'eee8aa', palegreen: '98fb98',
+  paleturquoise: 'afeeee', palevioletred: 'db7093', papayawhip: 'ffefd5', peachpuff: 'ffdab9', peru: 'cd853f',
+  pink: 'ffc0cb', plum: 'dda0dd', powderblue: 'b0e0e6', purple: '800080', rebeccapurple: '663399',
+  red: 'ff0000', rosybrown: 'bc8f8f', royalblue: '4169e1', saddlebrown: '8b4513', salmon: 'fa8072',
+  sandybrown: 'f4a460', seagreen: '2e8b57', seashell: 'fff5ee', sienna: 'a0522d', silver: 'c0c0c0',
+  skyblue: '87ceeb', slateblue: '6a5acd', slategray: '708090', slategrey: '708090', snow: 'fffafa',
+  springgreen: '00ff7f', steelblue: '4682b4', tan: 'd2b48c', teal: '008080', thistle: 'd8bfd8',
+  tomato: 'ff6347', turquoise: '40e0d0', violet: 'ee82ee', wheat: 'f5deb3', white: 'ffffff',
+  whitesmoke: 'f5f5f5', yellow: 'ffff00', yellowgreen: '9acd32'
+};
+
+// Matrices from the CSS Color 4 sample code (linear RGB <-> CIE XYZ)
+const LINEAR_SRGB_TO_XYZ = [
+  [506752 / 1228815, 87881 / 245763, 12673 / 70218],
+  [87098 / 409605, 175762 / 245763, 12673 / 175545],
+  [7918 / 409605, 87881 / 737289, 1001167 / 1053270]
+];
+const XYZ_TO_LINEAR_SRGB = [
+  [12831 / 3959, -329 / 214, -1974 / 3959],
+  [-851781 / 878810, 1648619 / 878810, 36519 / 878810],
+  [705 / 12673, -2585 / 12673, 705 / 667]
+];
+const LINEAR_P3_TO_XYZ = [
+  [608311 / 1250200, 189793 / 714400, 198249 / 1000160],
+  [35783 / 156275, 247089 / 357200, 198249 / 2500400],
+  [0, 32229 / 714400, 5220557 / 5000800]
+];
+const LINEAR_REC2020_TO_XYZ = [
+  [63426534 / 99577255, 20160776 / 139408157, 47086771 / 278816314],
+  [26158966 / 99577255, 472592308 / 697040785, 8267143 / 139408157],
+  [0, 19567812 / 697040785, 295819943 / 278816314]
+];
+const LINEAR_A98_TO_XYZ = [
+  [573536 / 994567, 263643 / 1420810, 187206 / 994567],
+  [591459 / 1989134, 6239551 / 9945670, 374412 / 4972835],
+  [53769 / 1989134, 351524 / 4972835, 4929758 / 4972835]
+];
+const LINEAR_PROPHOTO_TO_XYZ_D50 = [
+  [0.7977666449006423, 0.1351812974005331, 0.0313477341283922],
+  [0.2880748288194013, 0.7118352342418731, 0.0000899369387256],
+  [0, 0, 0.8251046025104602]
+];
+// Bradford chromatic adaptation between the D50 (Lab, ProPhoto) and D65 white points
+const D50_TO_D65 = [
+  [0.955473421488075, -0.02309845494876471, 0.06325924320057072],
+  [-0.0283697093338637, 1.0099953980813041, 0.021041441191917323],
+  [0.012314014864481998, -0.020507649298898964, 1.330365926242124]
+];
+const D65_TO_D50 = [
+  [1.0479297925449969, 0.022946870601609652, -0.05019226628920524],
+  [0.02962780877005599, 0.9904344267538799, -0.017073799063418826],
+  [-0.009243040646204504, 0.015055191490298152, 0.7518742814281371]
+];
+const D50_WHITE = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+const LAB_KAPPA = 24389 / 27;
+const LAB_EPSILON = 216 / 24389;
+
+function multiplyMatrix(matrix, vector) {
+  return matrix.map(row => row[0] * vector[0] + row[1] * vector[1] + row[2] * vector[2]);
+}
+
+// sRGB transfer functions on 0-1 values, sign-preserving for out-of-gamut input
+function srgbToLinear(c) {
+  const abs = Math.abs(c);
+  return abs <= 0.04045 ? c / 12.92 : Math.sign(c) * Math.pow((abs + 0.055) / 1.055, 2.4);
+}
+
+function linearToSrgb(c) {
+  const abs = Math.abs(c);
+  return abs <= 0.0031308 ? c * 12.92 : Math.sign(c) * (1.055 * Math.pow(abs, 1 / 2.4) - 0.055);
+}
+
+function labToXyzD50(L, a, b) {
+  const f1 = (L + 16) / 116;
+  const f0 = a / 500 + f1;
+  const f2 = f1 - b / 200;
+
+  const x = Math.pow(f0, 3) > LAB_EPSILON ? Math.pow(f0, 3) : (116 * f0 - 16) / LAB_KAPPA;
+  const y = L > LAB_KAPPA * LAB_EPSILON ? Math.pow(f1, 3) : L / LAB_KAPPA;
+  const z = Math.pow(f2, 3) > LAB_EPSILON ? Math.pow(f2, 3) : (116 * f2 - 16) / LAB_KAPPA;
+
+  return [x * D50_WHITE[0], y * D50_WHITE[1], z * D50_WHITE[2]];
+}
+
+function xyzD50ToLab(xyz) {
+  const f = xyz.map((value, i) => {
+    const scaled = value / D50_WHITE[i];
+    return scaled > LAB_EPSILON ? Math.cbrt(scaled) : (LAB_KAPPA * scaled + 16) / 116;
+  });
+  return [116 * f[1] - 16, 500 * (f[0] - f[1]), 200 * (f[1] - f[2])];
+}
+
+function toPolar(a, b) {
+  const h = Math.atan2(b, a) * 180 / Math.PI;
+  return [Math.sqrt(a * a + b * b), h < 0 ? h + 360 : h];
+}
+
+function fromPolar(C, h) {
+  const radians = h * Math.PI / 180;
+  return [C * Math.cos(radians), C * Math.sin(radians)];
+}
+
+// Predefined RGB spaces for color(): transfer function to linear light, and matrix to XYZ D65
+const RGB_SPACES = {
+  'srgb': { toLinear: srgbToLinear, toXyz: LINEAR_SRGB_TO_XYZ },
+  'srgb-linear': { toLinear: (c) => c, toXyz: LINEAR_SRGB_TO_XYZ },
+  'display-p3': { toLinear: srgbToLinear, toXyz: LINEAR_P3_TO_XYZ },
+  'a98-rgb': {
+    toLinear: (c) => Math.sign(c) * Math.pow(Math.abs(c), 563 / 256),
+    toXyz: LINEAR_A98_TO_XYZ
+  },
+  'rec2020': {
+    toLinear: (c) => {
+      const alpha = 1.09929682680944;
+      const beta = 0.018053968510807;
+      const abs = Math.abs(c);
+      return abs < beta * 4.5 ? c / 4.5 : Math.sign(c) * Math.pow((abs + alpha - 1) / alpha, 1 / 0.45);
+    },
+    toXyz: LINEAR_REC2020_TO_XYZ
+  },
+  'prophoto-rgb': {
+    toLinear: (c) => {
+      const abs = Math.abs(c);
+      return abs <= 16 / 512 ? c / 16 : Math.sign(c) * Math.pow(abs, 1.8);
+    },
+    // ProPhoto is defined against D50
+    toXyz: null
+  }
+};
+
+/**
+ * Turn linear-light sRGB (0-1) into { r, g, b, a } (0-255).
+ * Colors outside sRGB are gamut mapped in OKLCH, the way browsers display them.
+ */
+function fromLinearSrgb(linear, alpha) {
+  const epsilon = 1e-5;
+  if (linear.every(c => c >= -epsilon && c <= 1 + epsilon)) {
+    const [r, g, b] = linear.map(c => Math.min(255, Math.max(0, linearToSrgb(c) * 255)));
+    return { r, g, b, a: alpha };
+  }
+
+  const [r, g, b] = linear.map(c => linearToSrgb(c) * 255);
+  const lab = rgbToOklab(r, g, b);
+  const lch = oklabToOklch(lab.L, lab.a, lab.b);
+  return { ...gamutMapOklch(lch.L, lch.C, lch.h), a: alpha };
+}
+
+function fromXyzD65(xyz, alpha) {
+  return fromLinearSrgb(multiplyMatrix(XYZ_TO_LINEAR_SRGB, xyz), alpha);
+}
+
+// What separates two arguments: ',' (legacy), ' ' (modern), '/' (before alpha), null (anything else)
+function classifySeparator(gap) {
+  const marks = gap.replace(/\s/g, '');
+  if (!marks) return ' ';
+  return marks === ',' || marks === '/' ? marks : null;
+}
+
+/**
+ * Split a function body on top-level commas, spaces and "/", keeping nested functions whole.
+ * Returns { tokens, commas, valid }: commas tells legacy syntax apart, and valid is false
+ * when the separators mix the two syntaxes ("rgb(1, 2 3)") or misplace "/".
+ * `alphaIndex` is the index of the alpha token, the only one "/" may precede.
+ */
+function tokenizeArguments(body, alphaIndex) {
+  const tokens = [];
+  const separators = [];
+  let depth = 0;
+  let current = '';
+  let gap = '';
+
+  for (const char of body) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+
+    if (depth === 0 && (char === ',' || char === '/' || /\s/.test(char))) {
+      if (current) {
+        tokens.push(current);
+        current = '';
+      }
+      gap += char;
+      continue;
+    }
+    if (gap) {
+      separators.push(tokens.length > 0 ? classifySeparator(gap) : null);
+      gap = '';
+    }
+    current += char;
+  }
+
+  if (current) {
+    tokens.push(current);
+  }
+
+  const commas = separators.includes(',');
+  const valid = classifySeparator(gap) === ' ' && separators.every((separator, index) => commas
+    ? separator === ','
+    : separator === (index + 1 === alphaIndex ? '/' : ' '));
+  return { tokens, commas, valid };
+}
+
+/**
+ * Split on top-level commas only (color-mix arguments)
+ */
+function splitTopLevelCommas(body) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of body) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Parse a number or percentage; `percentScale` is the value 100% stands for.
+ * "none" counts as 0. Returns NaN when invalid.
+ */
+function parseComponent(token, percentScale = 1) {
+  if (token === undefined) return NaN;
+  if (token === 'none') return 0;
+  if (!/^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?%?$/i.test(token)) return NaN;
+
+  const value = parseFloat(token);
+  return token.endsWith('%') ? value / 100 * percentScale : value;
+}
+
+function parseAlpha(token) {
+  if (token === undefined) return 1;
+  const alpha = parseComponent(token, 1);
+  return Number.isNaN(alpha) ? NaN : Math.min(1, Math.max(0, alpha));
+}
+
+/**
+ * Parse a hue in degrees (deg, rad, grad, turn or a plain number)
+ */
+function parseHue(token) {
+  if (token === 'none') return 0;
+  const match = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(deg|rad|grad|turn)?$/i.exec(token || '');
+  if (!match) return NaN;
+
+  const value = parseFloat(match[1]);
+  const unit = (match[2] || 'deg').toLowerCase();
+  const degrees = unit === 'rad' ? value * 180 / Math.PI
+    : unit === 'grad' ? value * 0.9
+    : unit === 'turn' ? value * 360
+    : value;
+
+  return ((degrees % 360) + 360) % 360;
+}
+
+function parseHex(hex) {
+  if (!/^#([a-f\d]{3,4}|[a-f\d]{6}|[a-f\d]{8})$/i.test(hex)) return null;
+
+  let digits = hex.slice(1);
+  if (digits.length <= 4) {
+    digits = digits.split('').map(digit => digit + digit).join('');
+  }
+
+  return {
+    r: parseInt(digits.slice(0, 2), 16),
+    g: parseInt(digits.slice(2, 4), 16),
+    b: parseInt(digits.slice(4, 6), 16),
+    a: digits.length === 8 ? Math.round(parseInt(digits.slice(6, 8), 16) / 255 * 1000) / 1000 : 1
+  };
+}
+
+// Unrounded HSL (0-1 saturation/lightness) to sRGB 0-255
+function hslToRgbExact(h, s, l) {
+  const f = (n) => {
+    const k = (n + h / 30) % 12;
+    const a = s * Math.min(l, 1 - l);
+    return 255 * (l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1)));
+  };
+  return [f(0), f(8), f(4)];
+}
+
+function hwbToRgbExact(h, white, black) {
+  if (white + black >= 1) {
+    const gray = 255 * white / (white + black);
+    return [gray, gray, gray];
+  }
+  return hslToRgbExact(h, 1, 0.5).map(c => c * (1 - white - black) + 255 * white);
+}
+
+/**
+ * Parse one color function ("rgb(...)", "oklch(...)", ...) into { r, g, b, a }, or null
+ */
+function parseColorFunction(name, body) {
+  if (name === 'color-mix') {
+    return parseColorMix(body);
+  }
+
+  // Relative colors ("rgb(from ...)") and calc() depend on context we don't have
+  if (/^\s*from\s/i.test(body) || /calc\(/i.test(body)) return null;
+
+  const { tokens, commas, valid } = tokenizeArguments(body, name === 'color' ? 4 : 3);
+  if (!valid) return null;
+
+  // Legacy comma syntax predates "none"
+  if (commas && tokens.includes('none')) return null;
+
+  if (name === 'color') {
+    const space = (tokens[0] || '').toLowerCase();
+    if (tokens.length < 4 || tokens.length > 5 || commas) return null;
+
+    const channels = tokens.slice(1, 4).map(token => parseComponent(token, 1));
+    const alpha = parseAlpha(tokens[4]);
+    if (channels.some(Number.isNaN) || Number.isNaN(alpha)) return null;
+
+    if (space === 'xyz' || space === 'xyz-d65') return fromXyzD65(channels, alpha);
+    if (space === 'xyz-d50') return fromXyzD65(multiplyMatrix(D50_TO_D65, channels), alpha);
+
+    const rgbSpace = RGB_SPACES[space];
+    if (!rgbSpace) return null;
+
+    const linear = channels.map(rgbSpace.toLinear);
+    if (space === 'srgb' || space === 'srgb-linear') return fromLinearSrgb(linear, alpha);
+    if (space === 'prophoto-rgb') {
+      return fromXyzD65(multiplyMatrix(D50_TO_D65, multiplyMatrix(LINEAR_PROPHOTO_TO_XYZ_D50, linear)), alpha);
+    }
+    return fromXyzD65(multiplyMatrix(rgbSpace.toXyz, linear), alpha);
+  }
+
+  if (tokens.length < 3 || tokens.length > 4) return null;
+  const alpha = parseAlpha(tokens[3]);
+  if (Number.isNaN(alpha)) return null;
+
+  let channels;
+  switch (name) {
+    case 'rgb':
+    case 'rgba': {
+      // Legacy syntax takes all numbers or all percentages
+      const percentages = tokens.slice(0, 3).filter(token => token.endsWith('%')).length;
+      if (commas && percentages !== 0 && percentages !== 3) return null;
+
+      channels = tokens.slice(0, 3).map(token => parseComponent(token, 255));
+      if (channels.some(Number.isNaN)) return null;
+      const [r, g, b] = channels.map(c => Math.min(255, Math.max(0, c)));
+      return { r, g, b, a: alpha };
+    }
+    case 'hsl':
+    case 'hsla':
+    case 'hwb': {
+      if (name === 'hwb' && commas) return null;
+      // Legacy hsl() needs percentages for saturation and lightness
+      if (commas && !(tokens[1].endsWith('%') && tokens[2].endsWith('%'))) return null;
+      const h = parseHue(tokens[0]);
+      const x = parseComponent(tokens[1], 100) / 100;
+      const y = parseComponent(tokens[2], 100) / 100;
+      if ([h, x, y].some(Number.isNaN)) return null;
+
+      const [r, g, b] = name === 'hwb'
+        ? hwbToRgbExact(h, Math.max(0, x), Math.max(0, y))
+        : hslToRgbExact(h, Math.min(1, Math.max(0, x)), Math.min(1, Math.max(0, y)));
+      return { r, g, b, a: alpha };
+    }
+    case 'lab':
+    case 'lch': {
+      if (commas) return null;
+      const L = Math.max(0, parseComponent(tokens[0], 100));
+      const second = parseComponent(tokens[1], name === 'lab' ? 125 : 150);
+      const third = name === 'lab' ? parseComponent(tokens[2], 125) : parseHue(tokens[2]);
+      if ([L, second, third].some(Number.isNaN)) return null;
+
+      const [a, b] = name === 'lab' ? [second, third] : fromPolar(Math.max(0, second), third);
+      return fromXyzD65(multiplyMatrix(D50_TO_D65, labToXyzD50(L, a, b)), alpha);
+    }
+    case 'oklab':
+    case 'oklch': {
+      if (commas) return null;
+      const L = Math.max(0, parseComponent(tokens[0], 1));
+      const second = parseComponent(tokens[1], 0.4);
+      const third = name === 'oklab' ? parseComponent(tokens[2], 0.4) : parseHue(tokens[2]);
+      if ([L, second, third].some(Number.isNaN)) return null;
+
+      const [a, b] = name === 'oklab' ? [second, third] : fromPolar(Math.max(0, second), third);
+      const rgb = oklabToRgb(L, a, b);
+      return fromLinearSrgb([rgb.r, rgb.g, rgb.b].map(c => srgbToLinear(c / 255)), alpha);
+    }
+    default:
+      return null;
+  }
+}
+
+// Spaces color-mix() can interpolate in: to/from { r, g, b } (0-255) and which coordinate is a hue
+const MIX_SPACES = {
+  'srgb': {
+    from: (rgb) => [rgb.r / 255, rgb.g / 255, rgb.b / 255],
+    to: (c, alpha) => fromLinearSrgb(c.map(srgbToLinear), alpha)
+  },
+  'srgb-linear': {
+    from: (rgb) => [rgb.r, rgb.g, rgb.b].map(c => srgbToLinear(c / 255)),
+    to: (c, alpha) => fromLinearSrgb(c, alpha)
+  },
+  'xyz-d65': {
+    from: (rgb) => multiplyMatrix(LINEAR_SRGB_TO_XYZ, MIX_SPACES['srgb-linear'].from(rgb)),
+    to: (c, alpha) => fromXyzD65(c, alpha)
+  },
+  'xyz-d50': {
+    from: (rgb) => multiplyMatrix(D65_TO_D50, MIX_SPACES['xyz-d65'].from(rgb)),
+    to: (c, alpha) => fromXyzD65(multiplyMatrix(D50_TO_D65, c), alpha)
+  },
+  'lab': {
+    from: (rgb) => xyzD50ToLab(MIX_SPACES['xyz-d50'].from(rgb)),
+    to: (c, alpha) => MIX_SPACES['xyz-d50'].to(labToXyzD50(c[0], c[1], c[2]), alpha)
+  },
+  'lch': {
+    hue: 2,
+    from: (rgb) => {
+      const [L, a, b] = MIX_SPACES.lab.from(rgb);
+      return [L, ...toPolar(a, b)];
+    },
+    to: (c, alpha) => MIX_SPACES.lab.to([c[0], ...fromPolar(c[1], c[2])], alpha)
+  },
+  'oklab': {
+    from: (rgb) => {
+      const lab = rgbToOklab(rgb.r, rgb.g, rgb.b);
+      return [lab.L, lab.a, lab.b];
+    },
+    to: (c, alpha) => {
+      const rgb = oklabToRgb(c[0], c[1], c[2]);
+      return fromLinearSrgb([rgb.r, rgb.g, rgb.b].map(v => srgbToLinear(v / 255)), alpha);
+    }
+  },
+  'oklch': {
+    hue: 2,
+    from: (rgb) => {
+      const [L, a, b] = MIX_SPACES.oklab.from(rgb);
+      return [L, ...toPolar(a, b)];
+    },
+    to: (c, alpha) => MIX_SPACES.oklab.to([c[0], ...fromPolar(c[1], c[2])], alpha)
+  },
+  'hsl': {
+    hue: 0,
+    from: (rgb) => {
+      const hsl = rgbToHsl(rgb.r, rgb.g, rgb.b, true);
+      return [hsl.h, hsl.s / 100, hsl.l / 100];
+    },
+    to: (c, alpha) => {
+      const [r, g, b] = hslToRgbExact(c[0], c[1], c[2]);
+      return { r, g, b, a: alpha };
+    }
+  },
+  'hwb': {
+    hue: 0,
+    from: (rgb) => [rgbToHsl(rgb.r, rgb.g, rgb.b, true).h, Math.min(rgb.r, rgb.g, rgb.b) / 255, 1 - Math.max(rgb.r, rgb.g, rgb.b) / 255],
+    to: (c, alpha) => {
+      const [r, g, b] = hwbToRgbExact(c[0], c[1], c[2]);
+      return { r, g, b, a: alpha };
+    }
+  }
+};
+MIX_SPACES.xyz = MIX_SPACES['xyz-d65'];
+
+// A hue is meaningless for grays; color-mix then takes the other color's hue
+function isPowerlessHue(space, coords) {
+  if (space === 'hsl') return coords[1] === 0;
+  if (space === 'hwb') return coords[1] + coords[2] >= 1;
+  return coords[1] < (space === 'oklch' ? 4e-6 : 0.0015);
+}
+
+function interpolateHue(h1, h2, amount, method) {
+  const diff = h2 - h1;
+  if (method === 'longer') {
+    if (diff > 0 && diff < 180) h1 += 360;
+    else if (diff > -180 && diff <= 0) h2 += 360;
+  } else if (method === 'increasing') {
+    if (diff < 0) h2 += 360;
+  } else if (method === 'decreasing') {
+    if (diff > 0) h1 += 360;
+  } else if (diff > 180) {
+    h1 += 360;
+  } else if (diff < -180) {
+    h2 += 360;
+  }
+
+  const hue = h1 + (h2 - h1) * amount;
+  return ((hue % 360) + 360) % 360;
+}
+
+/**
+ * color-mix(in <space> [<hue> hue], <color> [<percentage>], <color> [<percentage>])
+ */
+function parseColorMix(body) {
+  const parts = splitTopLevelCommas(body);
+  if (parts.length !== 3) return null;
+
+  const interpolation = /^in\s+([a-z0-9-]+)(?:\s+(shorter|longer|increasing|decreasing)\s+hue)?$/i.exec(parts[0]);
+  if (!interpolation) return null;
+
+  const spaceName = interpolation[1].toLowerCase();
+  const space = MIX_SPACES[spaceName];
+  if (!space) return null;
+
+  // Each side: a color plus an optional percentage, in either order
+  const readSide = (part) => {
+    const match = /^(.*?)\s*([+-]?[\d.]+%)?$/.exec(part);
+    const leading = /^([+-]?[\d.]+%)\s+(.*)$/.exec(part);
+    const colorText = leading ? leading[2] : match[1];
+    const percentage = leading ? leading[1] : match[2];
+    return { color: parseColor(colorText), weight: percentage === undefined ? null : parseFloat(percentage) };
+  };
+  const first = readSide(parts[1]);
+  const second = readSide(parts[2]);
+  if (!first.color || !second.color) return null;
+
+  let p1 = first.weight;
+  let p2 = second.weight;
+  if (p1 === null && p2 === null) {
+    p1 = 50;
+    p2 = 50;
+  } else if (p1 === null) {
+    p1 = 100 - p2;
+  } else if (p2 === null) {
+    p2 = 100 - p1;
+  }
+  if (p1 < 0 || p2 < 0 || p1 + p2 === 0) return null;
+
+  // Percentages summing under 100% make the result partly transparent
+  const sum = p1 + p2;
+  const alphaMultiplier = sum < 100 ? sum / 100 : 1;
+  const amount = p2 / sum;
+
+  const c1 = space.from(first.color);
+  const c2 = space.from(second.color);
+  const a1 = first.color.a;
+  const a2 = second.color.a;
+  const hueIndex = space.hue;
+
+  if (hueIndex !== undefined) {
+    if (isPowerlessHue(spaceName, c1)) c1[hueIndex] = c2[hueIndex];
+    if (isPowerlessHue(spaceName, c2)) c2[hueIndex] = c1[hueIndex];
+  }
+
+  // Interpolate with premultiplied alpha (hues are never premultiplied)
+  const alpha = a1 + (a2 - a1) * amount;
+  const mixed = c1.map((value, i) => {
+    if (i === hueIndex) {
+      return interpolateHue(value, c2[i], amount, (interpolation[2] || 'shorter').toLowerCase());
+    }
+    const premultiplied = value * a1 + (c2[i] * a2 - value * a1) * amount;
+    return alpha === 0 ? premultiplied : premultiplied / alpha;
+  });
+
+  return space.to(mixed, alpha * alphaMultiplier);
+}
 
 /**
- * Parse any color format to RGB
+ * Parse any CSS Color 4 color into { r, g, b, a } (sRGB 0-255, alpha 0-1).
+ * Handles hex (3/4/6/8 digits), named colors, rgb(), hsl(), hwb(), lab(), lch(),
+ * oklab(), oklch(), color() and color-mix(), in legacy comma and modern space syntax.
+ * Wide-gamut colors are gamut mapped into sRGB. Returns null for transparent,
+ * currentcolor, system colors and anything else that depends on context.
  */
 export function parseColor(color) {
-  if (!color || color === 'transparent' || color === 'inherit') {
+  if (!color || typeof color !== 'string') {
     return null;
   }
 
-  // Hex format
-  if (color.startsWith('#')) {
-    return hexToRgb(color);
-  }
+  const value = color.trim().toLowerCase();
 
-  // RGB/RGBA format
-  const rgbMatch = color.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?\)/);
+  // Fast path for computed styles: "rgb(1, 2, 3)" / "rgba(1, 2, 3, 0.5)"
+  const rgbMatch = /^rgba?\((\d+), (\d+), (\d+)(?:, ([\d.]+))?\)$/.exec(value);
   if (rgbMatch) {
     return {
       r: parseInt(rgbMatch[1]),
@@ -29,31 +612,53 @@ export function parseColor(color) {
     };
   }
 
-  // HSL format
-  const hslMatch = color.match(/hsla?\((\d+),\s*([\d.]+)%,\s*([\d.]+)%(?:,\s*([\d.]+))?\)/);
-  if (hslMatch) {
-    return hslToRgb(
-      parseInt(hslMatch[1]),
-      parseFloat(hslMatch[2]) / 100,
-      parseFloat(hslMatch[3]) / 100,
-      hslMatch[4] ? parseFloat(hslMatch[4]) : 1
-    );
+  if (value.startsWith('#')) {
+    return parseHex(value);
+  }
+
+  if (NAMED_COLORS[value]) {
+    return parseHex('#' + NAMED_COLORS[value]);
+  }
+
+  const functionMatch = /^([a-z-]+)\((.*)\)$/.exec(value);
+  if (functionMatch) {
+    const result = parseColorFunction(functionMatch[1], functionMatch[2].trim());
+    if (result && [result.r, result.g, result.b, result.a].every(Number.isFinite)) {
+      return result;
+    }
   }
 
   return null;
 }
 
 /**
- * Convert hex to RGB
+ * Serialize { r, g, b, a } as CSS. Formats: 'rgb' (the browser's computed-style form,
+ * "rgb(r, g, b)" or "rgba(r, g, b, a)"), 'hex', 'hsl' and 'oklch'.
  */
-function hexToRgb(hex) {
-  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-  return result ? {
-    r: parseInt(result[1], 16),
-    g: parseInt(result[2], 16),
-    b: parseInt(result[3], 16),
-    a: 1
-  } : null;
+export function serializeColor(rgb, format = 'rgb') {
+  const alpha = rgb.a === undefined ? 1 : Math.round(rgb.a * 1000) / 1000;
+  const round = (value, digits) => Number(value.toFixed(digits));
+  const alphaSuffix = alpha < 1 ? ` / ${alpha}` : '';
+
+  switch (format) {
+    case 'hex': {
+      const hex = rgbToHex(rgb.r, rgb.g, rgb.b);
+      return alpha < 1 ? hex + Math.round(alpha * 255).toString(16).padStart(2, '0') : hex;
+    }
+    case 'hsl': {
+      const hsl = rgbToHsl(rgb.r, rgb.g, rgb.b, true);
+      return `hsl(${round(hsl.h, 2)} ${round(hsl.s, 2)}% ${round(hsl.l, 2)}%${alphaSuffix})`;
+    }
+    case 'oklch': {
+      const lab = rgbToOklab(rgb.r, rgb.g, rgb.b);
+      const lch = oklabToOklch(lab.L, lab.a, lab.b);
+      return `oklch(${round(lch.L, 4)} ${round(lch.C, 4)} ${round(lch.C < 1e-4 ? 0 : lch.h, 2)}${alphaSuffix})`;
+    }
+    default: {
+      const [r, g, b] = [rgb.r, rgb.g, rgb.b].map(c => Math.round(Math.min(255, Math.max(0, c))));
+      return alpha < 1 ? `rgba(${r}, ${g}, ${b}, ${alpha})` : `rgb(${r}, ${g}, ${b})`;
+    }
+  }
 }
 
 /**
@@ -67,9 +672,9 @@ export function rgbToHex(r, g, b) {
 }
 
 /**
- * Convert RGB to HSL
+ * Convert RGB to HSL (rounded to whole degrees and percents unless `precise`)
  */
-export function rgbToHsl(r, g, b) {
+export function rgbToHsl(r, g, b, precise = false) {
   r /= 255;
   g /= 255;
   b /= 255;
@@ -91,10 +696,11 @@ export function rgbToHsl(r, g, b) {
     }
   }
 
+  const round = precise ? (value) => value : Math.round;
   return {
-    h: Math.round(h * 360),
-    s: Math.round(s * 100),
-    l: Math.round(l * 100)
+    h: round(h * 360),
+    s: round(s * 100),
+    l: round(l * 100)
   };
 }
 
@@ -160,21 +766,154 @@ export function getContrastRatio(rgb1, rgb2) {
 }
 
 /**
- * Map color to retro palette
+ * Convert sRGB (0-255) to OKLab
  */
-export function mapToRetroPalette(originalColor, mode = 'light', intensity = 0.8) {
-  const rgb = parseColor(originalColor);
-  if (!rgb) return originalColor;
+export function rgbToOklab(r, g, b) {
+  const [lr, lg, lb] = [r, g, b].map(c => srgbToLinear(c / 255));
+
+  const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+  const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+  const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+
+  return {
+    L: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+    a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+    b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+  };
+}
+
+/**
+ * Convert OKLab to sRGB (0-255, unrounded and possibly out of gamut)
+ */
+export function oklabToRgb(L, a, b) {
+  const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+  const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+  const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+
+  return {
+    r: 255 * linearToSrgb(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s),
+    g: 255 * linearToSrgb(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s),
+    b: 255 * linearToSrgb(-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s)
+  };
+}
+
+/**
+ * Convert OKLab to OKLCH (hue in degrees)
+ */
+export function oklabToOklch(L, a, b) {
+  const h = Math.atan2(b, a) * 180 / Math.PI;
+  return { L, C: Math.sqrt(a * a + b * b), h: h < 0 ? h + 360 : h };
+}
+
+/**
+ * Convert OKLCH to OKLab
+ */
+export function oklchToOklab(L, C, h) {
+  const radians = h * Math.PI / 180;
+  return { L, a: C * Math.cos(radians), b: C * Math.sin(radians) };
+}
+
+function isInGamut(rgb) {
+  return [rgb.r, rgb.g, rgb.b].every(c => c >= -0.5 && c <= 255.5);
+}
+
+/**
+ * Bring an OKLCH color into sRGB by lowering chroma, keeping lightness and hue
+ */
+function gamutMapOklch(L, C, h) {
+  const clampedL = Math.min(1, Math.max(0, L));
+  const toRgb = (chroma) => {
+    const lab = oklchToOklab(clampedL, chroma, h);
+    return oklabToRgb(lab.L, lab.a, lab.b);
+  };
+
+  let rgb = toRgb(C);
+  if (!isInGamut(rgb)) {
+    // Binary search for the largest chroma that still fits
+    let low = 0;
+    let high = C;
+    for (let i = 0; i < 20; i++) {
+      const mid = (low + high) / 2;
+      if (isInGamut(toRgb(mid))) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+    rgb = toRgb(low);
+  }
+
+  const clamp = (c) => Math.min(255, Math.max(0, Math.round(c)));
+  return { r: clamp(rgb.r), g: clamp(rgb.g), b: clamp(rgb.b) };
+}
+
+// Palette colors in OKLab, per palette, computed on first use
+const paletteOklabCache = new Map();
+
+function getPaletteOklab(palette) {
+  const colors = Object.values(palette);
+  const cacheKey = colors.join('|');
+  if (!paletteOklabCache.has(cacheKey)) {
+    paletteOklabCache.set(cacheKey, colors
+      .map(color => parseColor(color))
+      .filter(Boolean)
+      .map(rgb => rgbToOklab(rgb.r, rgb.g, rgb.b)));
+  }
+  return paletteOklabCache.get(cacheKey);
+}
+
+/**
+ * Perceptual mapping: move the color's hue and chroma toward the nearest palette
+ * color (by distance in the a/b plane, so grays stay with the palette's neutrals),
+ * interpolated by intensity.
+ * Light mode keeps the OKLab lightness; dark mode inverts it into the palette's
+ * lightness range, so light surfaces turn dark and dark text turns light.
+ * With `keepLightness`, the lightness is kept in either mode.
+ */
+function mapPerceptual(rgb, mode, intensity, palette, keepLightness = false) {
+  const source = rgbToOklab(rgb.r, rgb.g, rgb.b);
+  const paletteColors = getPaletteOklab(palette);
+
+  let lightness = source.L;
+  if (mode === 'dark' && !keepLightness) {
+    const paletteLightness = paletteColors.map(color => color.L);
+    const darkest = Math.min(...paletteLightness);
+    const lightest = Math.max(...paletteLightness);
+    lightness = darkest + (1 - source.L) * (lightest - darkest);
+  }
+
+  let target = null;
+  let minDistance = Infinity;
+  paletteColors.forEach(paletteColor => {
+    const distance = Math.hypot(source.a - paletteColor.a, source.b - paletteColor.b);
+    if (distance < minDistance) {
+      minDistance = distance;
+      target = paletteColor;
+    }
+  });
+
+  const amount = Math.min(1, Math.max(0, intensity));
+  const a = source.a + (target.a - source.a) * amount;
+  const b = source.b + (target.b - source.b) * amount;
+  const lch = oklabToOklch(lightness, a, b);
+
+  return gamutMapOklch(lch.L, lch.C, lch.h);
+}
 
+/**
+ * Legacy mapping: nearest palette color by weighted HSL distance, lightened or darkened for the mode.
+ * With `keepLightness`, the palette color takes the original color's lightness instead.
+ */
+function mapLegacy(rgb, mode, intensity, palette, keepLightness = false) {
   const hsl = rgbToHsl(rgb.r, rgb.g, rgb.b);
-  const palette = Object.values(RETRO_PALETTE);
   
   // Find closest palette color by HSL distance
   let closestColor = null;
   let minDistance = Infinity;
 
-  palette.forEach(paletteColor => {
+  Object.values(palette).forEach(paletteColor => {
     const paletteRgb = parseColor(paletteColor);
+    if (!paletteRgb) return;
     const paletteHsl = rgbToHsl(paletteRgb.r, paletteRgb.g, paletteRgb.b);
     
     // Calculate HSL distance with hue weight
@@ -194,7 +933,9 @@ export function mapToRetroPalette(originalColor, mode = 'light', intensity = 0.8
   const finalRgb = parseColor(closestColor);
   const adjustedHsl = rgbToHsl(finalRgb.r, finalRgb.g, finalRgb.b);
 
-  if (mode === 'dark') {
+  if (keepLightness) {
+    adjustedHsl.l = hsl.l;
+  } else if (mode === 'dark') {
     // Darken for dark mode
     adjustedHsl.l = Math.max(20, adjustedHsl.l - 20);
     adjustedHsl.s = Math.min(100, adjustedHsl.s * 1.2);
@@ -206,8 +947,134 @@ export function mapToRetroPalette(originalColor, mode = 'light', intensity = 0.8
   // Apply intensity
   adjustedHsl.s = Math.round(adjustedHsl.s * intensity);
 
-  const result = hslToRgb(adjustedHsl.h, adjustedHsl.s / 100, adjustedHsl.l / 100, rgb.a);
-  return `rgba(${result.r}, ${result.g}, ${result.b}, ${result.a})`;
+  return hslToRgb(adjustedHsl.h, adjustedHsl.s / 100, adjustedHsl.l / 100);
+}
+
+/**
+ * Map color to retro palette.
+ * `mapping` is one of COLOR_MAPPINGS: 'perceptual' (OKLCH) or 'legacy' (HSL, kept for comparison).
+ * `palette` is an object (or array) of colors to map toward, e.g. the active palette's tokens for the mode.
+ */
+export function mapToRetroPalette(originalColor, mode = 'light', intensity = 0.8, mapping = COLOR_STRATEGY.MAPPING, palette = RETRO_PALETTE) {
+  return mapColor(originalColor, mode, intensity, mapping, palette, false);
+}
+
+// mapToRetroPalette, optionally keeping the color's lightness (see mapColorsInValue)
+function mapColor(originalColor, mode, intensity, mapping, palette, keepLightness) {
+  const rgb = parseColor(originalColor);
+  if (!rgb) return originalColor;
+
+  const result = mapping === COLOR_MAPPINGS.LEGACY
+    ? mapLegacy(rgb, mode, intensity, palette, keepLightness)
+    : mapPerceptual(rgb, mode, intensity, palette, keepLightness);
+
+  return `rgba(${result.r}, ${result.g}, ${result.b}, ${rgb.a})`;
+}
+
+// Functions whose whole text is one color, and the gradient functions whose stops are colors
+const COLOR_FUNCTIONS = new Set(['rgb', 'rgba', 'hsl', 'hsla', 'hwb', 'lab', 'lch', 'oklab', 'oklch', 'color', 'color-mix']);
+const GRADIENT_FUNCTION = /^(repeating-)?(linear|radial|conic)-gradient$/;
+
+/**
+ * Index just past a quoted string starting at `start`
+ */
+function skipString(value, start) {
+  const quote = value[start];
+  let i = start + 1;
+  while (i < value.length && value[i] !== quote) {
+    i += value[i] === '\\' ? 2 : 1;
+  }
+  return Math.min(i + 1, value.length);
+}
+
+/**
+ * Index of the parenthesis closing the one at `open`
+ */
+function findClosingParen(value, open) {
+  let depth = 0;
+  let i = open;
+  while (i < value.length) {
+    const char = value[i];
+    if (char === '"' || char === "'") {
+      i = skipString(value, i);
+      continue;
+    }
+    if (char === '(') depth++;
+    if (char === ')' && --depth === 0) return i;
+    i++;
+  }
+  return value.length - 1;
+}
+
+/**
+ * Copy a CSS value, passing every color in it through `replaceColor`.
+ * Outside gradients (and with `gradientsOnly`) colors are left alone; url(), var()
+ * and other functions are copied unchanged, as are angles, lengths and positions.
+ */
+function replaceColors(value, replaceColor, gradientsOnly) {
+  let result = '';
+  let i = 0;
+
+  while (i < value.length) {
+    const char = value[i];
+
+    if (char === '"' || char === "'") {
+      const end = skipString(value, i);
+      result += value.slice(i, end);
+      i = end;
+      continue;
+    }
+
+    const word = /^#?[a-zA-Z_-][\w-]*|^#[\da-fA-F]+/.exec(value.slice(i));
+    if (!word) {
+      result += char;
+      i++;
+      continue;
+    }
+
+    const text = word[0];
+    const end = i + text.length;
+
+    if (value[end] === '(') {
+      const close = findClosingParen(value, end);
+      const name = text.toLowerCase();
+
+      if (COLOR_FUNCTIONS.has(name) && !gradientsOnly) {
+        result += replaceColor(value.slice(i, close + 1));
+      } else if (GRADIENT_FUNCTION.test(name)) {
+        result += `${text}(${replaceColors(value.slice(end + 1, close), replaceColor, false)})`;
+      } else {
+        result += value.slice(i, close + 1);
+      }
+      i = close + 1;
+      continue;
+    }
+
+    const isColorWord = text.startsWith('#') || Object.prototype.hasOwnProperty.call(NAMED_COLORS, text.toLowerCase());
+    result += isColorWord && !gradientsOnly ? replaceColor(text) : text;
+    i = end;
+  }
+
+  return result;
+}
+
+/**
+ * Map every color in a shadow list (box-shadow, text-shadow) to the retro palette.
+ * Only hue and chroma move; each color keeps its lightness, so a dark drop shadow
+ * doesn't turn into a pale glow in dark mode.
+ */
+export function mapColorsInValue(value, mode = 'light', intensity = 0.8, mapping = COLOR_STRATEGY.MAPPING, palette = RETRO_PALETTE) {
+  if (!value || value === 'none') return value;
+  return replaceColors(value, color => mapColor(color, mode, intensity, mapping, palette, true), false);
+}
+
+/**
+ * Map the color stops of linear, radial and conic gradients (repeating ones too) in a
+ * background-image value, keeping angles, shapes and stop positions. url() layers are untouched.
+ */
+export function mapGradientToRetroPalette(value, mode = 'light', intensity = 0.8, mapping = COLOR_STRATEGY.MAPPING, palette = RETRO_PALETTE) {
+  if (!value || !value.includes('gradient')) return value;
+  return replaceColors(value, color => mapToRetroPalette(color, mode, intensity, mapping, palette), true);
 }
 
 /**
@@ -266,7 +1133,7 @@ export function shouldPreserveColor(color) {
     return true;
   }
 
-  // Preserve gradients
+  // Gradients aren't single colors; see mapGradientToRetroPalette
   if (color.includes('gradient')) {
     return true;
   }
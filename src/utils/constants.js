@@ -1,16 +1,12 @@
 /**
  * Owl Retro - Constants and Configuration
  * Retro tema renk paleti ve yapılandırma sabitleri
+ *
+ * ES module: imported by the deep recolor pipeline, which content.js loads on demand.
  */
 
-(function() {
-  'use strict';
-  
-  // Make available globally for content scripts
-  window.OwlRetro = window.OwlRetro || {};
-  
-  // Retro Color Palette
-  const RETRO_PALETTE = {
+// Retro Color Palette
+const RETRO_PALETTE = {
   primary: '#fbcd43',    // Sarı
   secondary: '#e64b35',  // Kırmızı
   tertiary: '#c6312b',   // Koyu kırmızı
@@ -21,43 +17,81 @@
 };
 
 // Theme Modes
-  const THEME_MODES = {
+const THEME_MODES = {
   LIGHT: 'light',
   DARK: 'dark',
-  AUTO: 'auto'
+  AUTO: 'auto',
+  SCHEDULE: 'schedule'
+};
+
+// Theme Styles (how much of the retro theme is applied)
+const THEME_STYLES = {
+  FULL: 'full',
+  MINIMAL: 'minimal',
+  PERFORMANCE: 'performance'
 };
 
 // Default Preferences
-  const DEFAULT_PREFERENCES = {
+const DEFAULT_PREFERENCES = {
   enabled: true,
   mode: THEME_MODES.AUTO,
+  themeStyle: THEME_STYLES.FULL,
+  siteOverrides: {}, // { 'host' or 'host/path': { mode, useMonospace, intensity, themeStyle } }
+  schedule: {
+    type: 'fixed', // 'fixed' or 'sun'
+    darkStart: '19:00',
+    darkEnd: '07:00',
+    latitude: null,
+    longitude: null
+  },
   useMonospace: true,
   intensity: 0.8,
+  palette: 'retro',
   siteAllowlist: [],
   siteBlocklist: [],
   cacheEnabled: true,
+  deepRecolor: false, // remap computed colors the stylesheets miss (slower)
+  colorMapping: 'perceptual', // deep recolor algorithm: 'perceptual' or 'legacy'
+  imageTreatment: 'none', // 'none', 'sepia', 'duotone', 'dither'
+  imageMinSize: 96, // images smaller than this (px) keep their colors
+  framePolicy: 'follow', // iframes: 'follow' (top frame), 'same-origin' or 'none'
+  font: 'system-mono', // font id from fonts.js, used when useMonospace is on
+  fontScope: 'all', // 'all' or 'headings'
+  fontScale: 1, // multiplies the font's own size adjustment
+  lineHeightScale: 1,
+  crtEffects: { // strength 0-1; all off when the user prefers reduced motion
+    scanlines: { enabled: false, strength: 0.4 },
+    vignette: { enabled: false, strength: 0.4 },
+    glow: { enabled: false, strength: 0.4 },
+    cursor: { enabled: false, strength: 1 }
+  },
   performanceMode: 'balanced' // 'fast', 'balanced', 'quality'
 };
 
 // CSS Classes and Attributes
-  const CSS_CLASSES = {
+const CSS_CLASSES = {
   ROOT_THEME: 'owl-retro',
   THEME_LIGHT: 'owl-retro-light',
   THEME_DARK: 'owl-retro-dark',
+  THEME_MINIMAL_LIGHT: 'owl-retro-minimal-light',
+  THEME_MINIMAL_DARK: 'owl-retro-minimal-dark',
+  THEME_PERFORMANCE: 'owl-retro-performance',
   MONOSPACE: 'owl-font',
+  FONT_HEADINGS: 'owl-font-headings',
   PROCESSED: 'owl-processed',
   SKIP: 'owl-skip'
 };
 
 const DATA_ATTRIBUTES = {
   THEME_APPLIED: 'data-owl-theme',
+  PATCHED: 'data-owl-patched', // element carries deep recolor inline styles
   ORIGINAL_COLOR: 'data-owl-original-color',
   ORIGINAL_BG: 'data-owl-original-bg',
   PROCESS_TIME: 'data-owl-process-time'
 };
 
 // Performance Thresholds
-  const PERFORMANCE_CONFIG = {
+const PERFORMANCE_CONFIG = {
   MAX_SCAN_TIME_MS: 50,
   MAX_APPLY_TIME_MS: 100,
   CHUNK_SIZE: 100,
@@ -68,7 +102,7 @@ const DATA_ATTRIBUTES = {
 };
 
 // Cache Configuration
-  const CACHE_CONFIG = {
+const CACHE_CONFIG = {
   VERSION: '1.0.0',
   TTL_MS: 7 * 24 * 60 * 60 * 1000, // 7 days
   MAX_ENTRIES: 1000,
@@ -76,31 +110,46 @@ const DATA_ATTRIBUTES = {
 };
 
 // Storage Keys
-  const STORAGE_KEYS = {
+const STORAGE_KEYS = {
   PREFERENCES: 'owl_preferences',
   SITE_CACHE: 'owl_site_cache',
   ANALYTICS: 'owl_analytics',
+  CUSTOM_PALETTES: 'owl_custom_palettes',
+  PALETTE_CSS: 'owl_palette_css', // chrome.storage.local: { paletteId: css }
+  ELEMENT_RULES: 'owl_element_rules', // chrome.storage.local: { hostname: [{ selector, action }] }
+  SITE_CSS: 'owl_site_css', // chrome.storage.local: { siteRule: css }
+  ICON_FONTS: 'owl_icon_fonts', // chrome.storage.local: { hostname: { classes, updated } }
   VERSION: 'owl_version'
 };
 
 // Font Configuration
-  const FONT_CONFIG = {
+const FONT_CONFIG = {
   MONOSPACE_STACK: 'ui-monospace, SFMono-Regular, "SF Mono", Menlo, Consolas, "Liberation Mono", monospace',
   SAFE_SELECTORS: 'p, span, div, li, td, th, h1, h2, h3, h4, h5, h6, a, label',
-  EXCLUDE_SELECTORS: 'code, pre, .fa, .fas, .far, .fab, .icon, svg, math, input, textarea, select'
+  EXCLUDE_SELECTORS: 'code, pre, kbd, samp, svg, math, input, textarea, select, .owl-icon-font, ' +
+    '.material-icons, [class*="material-icons"], [class*="material-symbols"], ' +
+    '.fa, [class^="fa-"], [class*=" fa-"], .bi, [class^="bi-"], [class*=" bi-"], ' +
+    '.glyphicon, .icon, [class^="icon-"], [class*=" icon-"], .codicon, .octicon, .dashicons, .ionicon'
 };
 
 // Color Mapping Strategy
-  const COLOR_STRATEGY = {
+const COLOR_STRATEGY = {
   LUMINANCE_THRESHOLD: 0.5,
   CONTRAST_MIN: 4.5, // WCAG AA
   CONTRAST_TARGET: 7, // WCAG AAA
   SATURATION_BOOST: 1.2,
-  HUE_SHIFT_MAX: 30
+  HUE_SHIFT_MAX: 30,
+  MAPPING: 'perceptual' // default for mapToRetroPalette
+};
+
+// Color mapping algorithms for mapToRetroPalette
+const COLOR_MAPPINGS = {
+  PERCEPTUAL: 'perceptual', // OKLCH: keeps lightness, moves hue and chroma toward the palette
+  LEGACY: 'legacy'          // nearest palette color by weighted HSL distance
 };
 
 // Site-specific Configurations
-  const SITE_CONFIGS = {
+const SITE_CONFIGS = {
   'twitter.com': {
     additionalSelectors: '[data-testid*="Tweet"]',
     skipSelectors: '[aria-label="Emoji"]',
@@ -123,25 +172,27 @@ const DATA_ATTRIBUTES = {
 };
 
 // Debug Configuration
-  const DEBUG = {
-    ENABLED: false,
-    LOG_PERFORMANCE: false,
-    LOG_MUTATIONS: false,
-    LOG_CACHE: false,
-    VISUAL_INDICATORS: false
-  };
-  
-  // Export to global
-  window.OwlRetro.RETRO_PALETTE = RETRO_PALETTE;
-  window.OwlRetro.THEME_MODES = THEME_MODES;
-  window.OwlRetro.DEFAULT_PREFERENCES = DEFAULT_PREFERENCES;
-  window.OwlRetro.CSS_CLASSES = CSS_CLASSES;
-  window.OwlRetro.DATA_ATTRIBUTES = DATA_ATTRIBUTES;
-  window.OwlRetro.PERFORMANCE_CONFIG = PERFORMANCE_CONFIG;
-  window.OwlRetro.CACHE_CONFIG = CACHE_CONFIG;
-  window.OwlRetro.STORAGE_KEYS = STORAGE_KEYS;
-  window.OwlRetro.FONT_CONFIG = FONT_CONFIG;
-  window.OwlRetro.COLOR_STRATEGY = COLOR_STRATEGY;
-  window.OwlRetro.SITE_CONFIGS = SITE_CONFIGS;
-  window.OwlRetro.DEBUG = DEBUG;
-})();
+const DEBUG = {
+  ENABLED: false,
+  LOG_PERFORMANCE: false,
+  LOG_MUTATIONS: false,
+  LOG_CACHE: false,
+  VISUAL_INDICATORS: false
+};
+
+export {
+  RETRO_PALETTE,
+  THEME_MODES,
+  THEME_STYLES,
+  DEFAULT_PREFERENCES,
+  CSS_CLASSES,
+  DATA_ATTRIBUTES,
+  PERFORMANCE_CONFIG,
+  CACHE_CONFIG,
+  STORAGE_KEYS,
+  FONT_CONFIG,
+  COLOR_STRATEGY,
+  COLOR_MAPPINGS,
+  SITE_CONFIGS,
+  DEBUG
+};
@@ -72,6 +72,8 @@
         if (this.shadowRoots.has(shadowRoot)) return;
 
         const shadowObserver = new MutationObserver((mutations) => {
+          // Re-adopt the theme sheet in case the component replaced its adoptedStyleSheets
+          this.adoptThemeSheet(shadowRoot);
           this.handleShadowMutations(mutations, shadowRoot);
         });
 
@@ -85,11 +87,19 @@
 
         this.shadowRoots.add(shadowRoot);
         this.observers.set(shadowRoot, shadowObserver);
+
+        this.adoptThemeSheet(shadowRoot);
+
+        // Components nest: look for shadow roots inside this one too
+        this.attachToShadowRootsIn(shadowRoot);
       };
 
       // Auto-attach to existing shadow roots
       this.attachToExistingShadowRoots();
 
+      // Custom elements defined by late scripts only get their shadow roots once upgraded
+      window.addEventListener('load', () => this.attachToExistingShadowRoots(), { once: true });
+
       console.log('Owl Retro: Advanced Mutation Observer initialized');
     }
 
@@ -157,10 +167,11 @@
      * Handle element added to main document
      */
     handleElementAdded(element) {
-      // Check for shadow DOM
+      // Check for shadow DOM, on the element and anywhere in the added subtree
       if (element.shadowRoot) {
         this.createShadowDOMObserver(element.shadowRoot);
       }
+      this.attachToShadowRootsIn(element);
 
       // Check for custom elements
       if (element.tagName && element.tagName.includes('-')) {
@@ -175,6 +186,12 @@
      * Handle element added to shadow DOM
      */
     handleShadowElementAdded(element, shadowRoot) {
+      // Nested shadow DOM
+      if (element.shadowRoot) {
+        this.createShadowDOMObserver(element.shadowRoot);
+      }
+      this.attachToShadowRootsIn(element);
+
       // Handle slotted content
       if (element.hasAttribute('slot') || element.slot) {
         this.handleSlottedContent(element, shadowRoot);
@@ -188,11 +205,31 @@
      * Attach observers to existing shadow roots
      */
     attachToExistingShadowRoots() {
-      const allElements = document.querySelectorAll('*');
-      for (const element of allElements) {
-        if (element.shadowRoot) {
-          this.createShadowDOMObserver(element.shadowRoot);
-        }
+      this.attachToShadowRootsIn(document);
+    }
+
+    /**
+     * Attach observers to open shadow roots of a node's descendants
+     */
+    attachToShadowRootsIn(root) {
+      // Most added nodes are leaves, with nothing to walk
+      if (!this.createShadowDOMObserver || !root.firstElementChild) return;
+
+      // Only shadow hosts come out of the walker; other elements are skipped, their subtrees still walked
+      const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT, {
+        acceptNode: node => node.shadowRoot ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP
+      });
+      while (walker.nextNode()) {
+        this.createShadowDOMObserver(walker.currentNode.shadowRoot);
+      }
+    }
+
+    /**
+     * Share the theme stylesheet with a shadow root (see shadow-theming.js)
+     */
+    adoptThemeSheet(shadowRoot) {
+      if (window.OwlRetroShadowTheming) {
+        window.OwlRetroShadowTheming.adopt(shadowRoot);
       }
     }
 
@@ -0,0 +1,235 @@
+/**
+ * Owl Retro - Element Rules
+ * Site bazlı öğe kuralları: kararlı seçici üretimi ve temadan hariç tutma
+ */
+
+(function() {
+  'use strict';
+
+  const globalScope = typeof window !== 'undefined' ? window : self;
+
+  // Content scripts load this file, and theme-injector.js imports it again; keep the first copy
+  if (globalScope.OwlRetroElementRules) return;
+
+  // Class each rule action puts on matching elements
+  const ACTION_CLASSES = {
+    skip: 'owl-skip',           // no theming at all
+    keep: 'owl-keep-colors',    // site colors, retro font still applies
+    light: 'owl-force-light',   // light palette whatever the page mode
+    dark: 'owl-force-dark'      // dark palette whatever the page mode
+  };
+
+  // Appended to theme selectors so skipped elements and their subtrees keep the site's styles
+  const SKIP_GUARD = ':not(.owl-skip):not(.owl-skip *)';
+  const KEEP_GUARD = ':not(.owl-keep-colors):not(.owl-keep-colors *)';
+
+  // Sheets already rewritten by guardStylesheet
+  const guardedSheets = new WeakSet();
+
+  // Attributes that tend to survive re-renders and deploys
+  const STABLE_ATTRIBUTES = ['data-testid', 'data-test', 'data-qa', 'data-cy', 'name', 'aria-label', 'role'];
+
+  /**
+   * Check if an id, class or attribute value looks hand-written rather than generated
+   * (CSS modules, styled-components, React ids, hashes)
+   */
+  function isStableToken(token) {
+    if (!token || token.length > 40) return false;
+    if (/^owl[-_]/.test(token)) return false;
+    if (!/^[a-zA-Z_-][\w-]*$/.test(token)) return false;
+    if (/\d{3,}/.test(token)) return false;
+    if (/^(css|sc|jsx|svelte|emotion|styled)-/i.test(token)) return false;
+
+    // Hash-like segments mix letters and several digits: "Button_root__a1B2c"
+    return !token.split(/[-_]+/).some(segment =>
+      segment.length >= 5 && /[a-zA-Z]/.test(segment) && (segment.match(/\d/g) || []).length >= 2
+    );
+  }
+
+  function isUniqueMatch(element, selector) {
+    try {
+      const matches = element.ownerDocument.querySelectorAll(selector);
+      return matches.length === 1 && matches[0] === element;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Describe one element: tag plus a stable attribute or classes, with :nth-of-type when siblings look alike
+   */
+  function describeStep(element) {
+    const tag = element.tagName.toLowerCase();
+
+    if (element.id && isStableToken(element.id)) {
+      return `${tag}#${CSS.escape(element.id)}`;
+    }
+
+    let step = tag;
+    const attribute = STABLE_ATTRIBUTES.find(name => {
+      const value = element.getAttribute(name);
+      return value && value.length <= 40 && (name === 'aria-label' || isStableToken(value));
+    });
+
+    if (attribute) {
+      step += `[${attribute}="${CSS.escape(element.getAttribute(attribute))}"]`;
+    } else {
+      step += Array.from(element.classList)
+        .filter(isStableToken)
+        .slice(0, 2)
+        .map(name => `.${CSS.escape(name)}`)
+        .join('');
+    }
+
+    const parent = element.parentElement;
+    if (parent) {
+      const sameTag = Array.from(parent.children).filter(child => child.tagName === element.tagName);
+      const lookAlikes = sameTag.filter(child => child.matches(step));
+      if (lookAlikes.length > 1) {
+        step += `:nth-of-type(${sameTag.indexOf(element) + 1})`;
+      }
+    }
+
+    return step;
+  }
+
+  /**
+   * Build a selector that matches only this element and survives reloads:
+   * no random attributes, generated class names or owl-* classes
+   */
+  function buildSelector(element) {
+    const steps = [];
+    let current = element;
+    let anchored = false;
+
+    while (current && current.nodeType === Node.ELEMENT_NODE && current !== element.ownerDocument.documentElement) {
+      const step = describeStep(current);
+      steps.unshift(step);
+
+      // A bare tag path ("div > span") matches whatever the page adds next, so wait for an id, attribute or class
+      anchored = anchored || /[#.[]/.test(step);
+
+      const selector = steps.join(' > ');
+      if (anchored && isUniqueMatch(element, selector)) {
+        return selector;
+      }
+
+      current = current.parentElement;
+    }
+
+    return steps.join(' > ');
+  }
+
+  /**
+   * Add each rule's class to the elements it matches; returns the number of elements marked
+   */
+  function applyElementRules(rules, root = document) {
+    let count = 0;
+
+    (rules || []).forEach(rule => {
+      const className = ACTION_CLASSES[rule.action];
+      if (!className) return;
+
+      let elements;
+      try {
+        elements = root.querySelectorAll(rule.selector);
+      } catch (error) {
+        console.warn('Owl Retro: Invalid element rule selector', rule.selector);
+        return;
+      }
+
+      elements.forEach(element => {
+        if (!element.classList.contains(className)) {
+          element.classList.add(className);
+          count++;
+        }
+      });
+    });
+
+    return count;
+  }
+
+  /**
+   * Split a selector list on top-level commas
+   */
+  function splitSelectorList(selectorText) {
+    const selectors = [];
+    let depth = 0;
+    let current = '';
+
+    for (const char of selectorText) {
+      if (char === '(' || char === '[') depth++;
+      if (char === ')' || char === ']') depth--;
+
+      if (char === ',' && depth === 0) {
+        selectors.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+
+    if (current.trim()) {
+      selectors.push(current.trim());
+    }
+    return selectors;
+  }
+
+  /**
+   * Add the guards to a selector, before any pseudo-element.
+   * Font rules (html.owl-font ...) still reach "keep colors" elements.
+   */
+  function guardSelector(selector) {
+    const guard = selector.includes('.owl-font') ? SKIP_GUARD : SKIP_GUARD + KEEP_GUARD;
+    const pseudoIndex = selector.indexOf('::');
+    if (pseudoIndex === -1) {
+      return selector + guard;
+    }
+    return selector.slice(0, pseudoIndex) + guard + selector.slice(pseudoIndex);
+  }
+
+  /**
+   * Rules (of a site's list) that match an element
+   */
+  function findRulesForElement(rules, element) {
+    return (rules || []).filter(rule => {
+      try {
+        return element.matches(rule.selector);
+      } catch (error) {
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Rewrite every style rule in a sheet so it no longer reaches skipped elements.
+   * Only done once rules exist for the site, since the guard makes matching slower.
+   */
+  function guardStylesheet(sheet) {
+    if (!sheet || guardedSheets.has(sheet)) return;
+
+    const guardRules = (rules) => {
+      Array.from(rules).forEach(rule => {
+        if (rule.selectorText) {
+          // Invalid selectors are ignored by the CSSOM, leaving the rule unchanged
+          rule.selectorText = splitSelectorList(rule.selectorText).map(guardSelector).join(', ');
+        } else if (rule.cssRules) {
+          guardRules(rule.cssRules);
+        }
+      });
+    };
+
+    guardRules(sheet.cssRules);
+    guardedSheets.add(sheet);
+  }
+
+  globalScope.OwlRetroElementRules = {
+    ACTION_CLASSES,
+    isStableToken,
+    buildSelector,
+    applyElementRules,
+    findRulesForElement,
+    splitSelectorList,
+    guardStylesheet
+  };
+})();
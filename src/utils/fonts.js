@@ -0,0 +1,148 @@
+/**
+ * Owl Retro - Retro Fonts
+ * Yazı tipi seçici: paketlenmiş piksel/terminal yazı tipleri, sistem yığınları ve boyut ölçekleme
+ */
+
+(function() {
+  'use strict';
+
+  const globalScope = typeof window !== 'undefined' ? window : self;
+
+  // Bundled font files live here and are listed in web_accessible_resources
+  const FONT_DIRECTORY = 'src/fonts/';
+
+  const DEFAULT_FONT = 'system-mono';
+
+  const FONT_SCOPES = {
+    ALL: 'all',
+    HEADINGS: 'headings'
+  };
+
+  // Pixel fonts need a larger size and looser lines than the system font they replace;
+  // sizeAdjust and lineHeight are the starting points the user's scaling multiplies
+  const FONTS = {
+    'system-mono': {
+      name: 'System Monospace',
+      local: ['SF Mono', 'SFMono-Regular', 'Menlo Regular', 'Menlo', 'Consolas', 'DejaVu Sans Mono', 'Liberation Mono'],
+      fallback: 'ui-monospace, SFMono-Regular, "SF Mono", Menlo, Consolas, "Liberation Mono", monospace',
+      sizeAdjust: 1,
+      lineHeight: null
+    },
+    'system-typewriter': {
+      name: 'System Typewriter',
+      local: ['Courier New', 'CourierNewPSMT', 'Courier', 'Nimbus Mono PS', 'Liberation Mono'],
+      fallback: '"Courier New", Courier, "Nimbus Mono PS", monospace',
+      sizeAdjust: 1.05,
+      lineHeight: null
+    },
+    'vt323': {
+      name: 'VT323 (Terminal)',
+      file: 'VT323-Regular.woff2',
+      local: ['VT323', 'VT323 Regular', 'VT323-Regular'],
+      fallback: 'ui-monospace, Menlo, Consolas, monospace',
+      sizeAdjust: 1.3,
+      lineHeight: 1.3,
+      license: 'SIL Open Font License 1.1'
+    },
+    'press-start': {
+      name: 'Press Start 2P (Pixel)',
+      file: 'PressStart2P-Regular.woff2',
+      local: ['Press Start 2P', 'Press Start 2P Regular', 'PressStart2P-Regular'],
+      fallback: 'ui-monospace, Menlo, Consolas, monospace',
+      sizeAdjust: 0.75,
+      lineHeight: 1.8,
+      license: 'SIL Open Font License 1.1'
+    }
+  };
+
+  // Keep scaled text usable: never below 70% or above 200% of the font's own size
+  const SCALE_RANGE = { min: 0.7, max: 2 };
+
+  function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+  }
+
+  function getFont(id) {
+    return FONTS[id] || FONTS[DEFAULT_FONT];
+  }
+
+  function getFaceName(id) {
+    return `Owl Retro ${FONTS[id] ? id : DEFAULT_FONT}`;
+  }
+
+  /**
+   * font-family value for a font: its scaled face, then the unscaled fallback stack
+   */
+  function getFontStack(id) {
+    return `"${getFaceName(id)}", ${getFont(id).fallback}`;
+  }
+
+  /**
+   * @font-face rule for a font. Local copies win over the bundled file;
+   * size-adjust scales the face without touching the page's font sizes.
+   * getURL turns an extension path into a URL (chrome.runtime.getURL).
+   */
+  function buildFontFace(id, fontScale = 1, getURL = path => path) {
+    const font = getFont(id);
+    const sources = font.local.map(name => `local("${name}")`);
+    if (font.file) {
+      const format = font.file.endsWith('.woff2') ? 'woff2' : 'woff';
+      sources.push(`url("${getURL(FONT_DIRECTORY + font.file)}") format("${format}")`);
+    }
+
+    const sizeAdjust = Math.round(clamp(font.sizeAdjust * fontScale, SCALE_RANGE.min, SCALE_RANGE.max) * 100);
+
+    return `@font-face {
+  font-family: "${getFaceName(id)}";
+  src: ${sources.join(', ')};
+  font-display: swap;
+  size-adjust: ${sizeAdjust}%;
+}`;
+  }
+
+  /**
+   * Everything the theme needs for a font: the face, --owl-font-family for the
+   * html.owl-font rules in the theme stylesheets, the headings-only rule and line height.
+   * options: { fontScale, lineHeightScale, getURL }
+   */
+  function buildFontCSS(id, options = {}) {
+    const font = getFont(id);
+    const fontScale = Number(options.fontScale) || 1;
+    const lineHeightScale = Number(options.lineHeightScale) || 1;
+    const stack = getFontStack(id);
+
+    const rules = [
+      buildFontFace(id, fontScale, options.getURL),
+      `html.owl-retro:root {\n  --owl-font-family: ${stack};\n}`,
+      `html.owl-font-headings :is(h1, h2, h3, h4, h5, h6) {\n  font-family: ${stack} !important;\n}`
+    ];
+
+    // System fonts keep the site's line height unless the user asks for more or less
+    if (font.lineHeight || lineHeightScale !== 1) {
+      const lineHeight = Math.round((font.lineHeight || 1.5) * lineHeightScale * 100) / 100;
+      rules.push(
+        `html.owl-font body,\nhtml.owl-font-headings :is(h1, h2, h3, h4, h5, h6) {\n  line-height: ${lineHeight} !important;\n}`
+      );
+    }
+
+    return rules.join('\n');
+  }
+
+  /**
+   * Fonts for a picker, as [{ id, name }]
+   */
+  function listFonts() {
+    return Object.keys(FONTS).map(id => ({ id, name: FONTS[id].name }));
+  }
+
+  globalScope.OwlRetroFonts = {
+    FONTS,
+    DEFAULT_FONT,
+    FONT_SCOPES,
+    FONT_DIRECTORY,
+    getFontStack,
+    buildFontFace,
+    buildFontCSS,
+    listFonts
+  };
+})();
@@ -0,0 +1,201 @@
+/**
+ * Owl Retro - Message Protocol
+ * Mesaj protokolü: eylem adları, yük doğrulama, sürümlü mesajlar ve tutarlı yanıtlar
+ *
+ * Every message is { action, version, ...payload }; every reply is
+ * { success: true, ...data } or { success: false, error }.
+ * Set owl_debug to true in chrome.storage.local to log unknown and malformed messages;
+ * other scripts check the same flag through isDebug().
+ */
+
+(function() {
+  'use strict';
+
+  const globalScope = typeof window !== 'undefined' ? window : self;
+
+  const PROTOCOL_VERSION = 1;
+  const DEBUG_STORAGE_KEY = 'owl_debug';
+
+  const ACTIONS = {
+    // Handled by content scripts (sent to tabs)
+    TOGGLE: 'toggle',
+    CHANGE_MODE: 'changeMode',
+    CHANGE_THEME_STYLE: 'changeThemeStyle',
+    TOGGLE_FONT: 'toggleFont',
+    CHANGE_INTENSITY: 'changeIntensity',
+    PREFERENCES_UPDATED: 'preferencesUpdated',
+    SCHEDULED_MODE_CHANGED: 'scheduledModeChanged',
+    START_PICKER: 'startPicker',
+    EXCLUDE_ELEMENT: 'excludeElement',
+    GET_STATUS: 'getStatus',
+    GET_FRAME_STATE: 'getFrameState',
+    TOP_FRAME_STATE_CHANGED: 'topFrameStateChanged',
+
+    // Handled by the service worker
+    GET_PREFERENCES: 'getPreferences',
+    SET_PREFERENCES: 'setPreferences',
+    CLEAR_SITE_CACHE: 'clearSiteCache',
+    CLEAR_ALL_CACHE: 'clearAllCache',
+    GET_ACTIVE_TAB: 'getActiveTab',
+    GET_THEME_CSS: 'getThemeCSS',
+    GET_TOP_FRAME_STATE: 'getTopFrameState',
+    FRAME_STATE_CHANGED: 'frameStateChanged'
+  };
+
+  const isBoolean = value => typeof value === 'boolean';
+  const isString = value => typeof value === 'string' && value.length > 0;
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const oneOf = (...values) => value => values.includes(value);
+  const inRange = (min, max) => value => typeof value === 'number' && value >= min && value <= max;
+
+  // Required payload fields per action, with their checks; actions without fields map to {}
+  const PAYLOADS = {
+    [ACTIONS.TOGGLE]: { enabled: isBoolean },
+    [ACTIONS.CHANGE_MODE]: { mode: oneOf('light', 'dark', 'auto', 'schedule') },
+    [ACTIONS.CHANGE_THEME_STYLE]: { themeStyle: oneOf('full', 'minimal', 'performance') },
+    [ACTIONS.TOGGLE_FONT]: { useMonospace: isBoolean },
+    [ACTIONS.CHANGE_INTENSITY]: { intensity: inRange(0, 1) },
+    [ACTIONS.PREFERENCES_UPDATED]: { preferences: isObject },
+    [ACTIONS.SCHEDULED_MODE_CHANGED]: { mode: oneOf('light', 'dark') },
+    [ACTIONS.START_PICKER]: {},
+    [ACTIONS.EXCLUDE_ELEMENT]: {},
+    [ACTIONS.GET_STATUS]: {},
+    [ACTIONS.GET_FRAME_STATE]: {},
+    [ACTIONS.TOP_FRAME_STATE_CHANGED]: { state: isObject },
+    [ACTIONS.GET_PREFERENCES]: {},
+    [ACTIONS.SET_PREFERENCES]: { preferences: isObject },
+    [ACTIONS.CLEAR_SITE_CACHE]: { site: isString },
+    [ACTIONS.CLEAR_ALL_CACHE]: {},
+    [ACTIONS.GET_ACTIVE_TAB]: {},
+    [ACTIONS.GET_THEME_CSS]: { key: isString },
+    [ACTIONS.GET_TOP_FRAME_STATE]: {},
+    [ACTIONS.FRAME_STATE_CHANGED]: { state: isObject }
+  };
+
+  let debug = false;
+
+  // Extension pages and content scripts all share the flag through storage
+  if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
+    chrome.storage.local.get(DEBUG_STORAGE_KEY)
+      .then(result => {
+        debug = Boolean(result[DEBUG_STORAGE_KEY]);
+      })
+      .catch(() => {});
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes[DEBUG_STORAGE_KEY]) {
+        debug = Boolean(changes[DEBUG_STORAGE_KEY].newValue);
+      }
+    });
+  }
+
+  function isDebug() {
+    return debug;
+  }
+
+  function logDebug(...args) {
+    if (debug) {
+      console.warn('Owl Retro [messages]:', ...args);
+    }
+  }
+
+  /**
+   * Check a message against the protocol; returns an error string, or null when valid
+   */
+  function validateMessage(message) {
+    if (!isObject(message)) return 'Message is not an object';
+    if (!PAYLOADS[message.action]) return `Unknown action: ${message.action}`;
+    if (message.version !== PROTOCOL_VERSION) {
+      return `Unsupported version ${message.version} for ${message.action} (expected ${PROTOCOL_VERSION})`;
+    }
+
+    const fields = PAYLOADS[message.action];
+    const invalid = Object.keys(fields).find(field => !fields[field](message[field]));
+    return invalid ? `Invalid ${invalid} for ${message.action}` : null;
+  }
+
+  /**
+   * Build a versioned message; throws on an unknown action or bad payload,
+   * since that is a bug in the sender
+   */
+  function createMessage(action, payload = {}) {
+    const message = { ...payload, action, version: PROTOCOL_VERSION };
+    const error = validateMessage(message);
+    if (error) {
+      throw new Error(error);
+    }
+    return message;
+  }
+
+  function success(data = {}) {
+    return { ...data, success: true };
+  }
+
+  function failure(error) {
+    return { success: false, error: error instanceof Error ? error.message : String(error) };
+  }
+
+  /**
+   * runtime.onMessage listener dispatching to handlers by action.
+   * handlers: { [action]: (message, sender) => data | Promise<data> }, looked up per
+   * message so handlers can be added later. Data is sent back as success(data),
+   * thrown errors as failure(error). Messages for actions without a handler here get
+   * no reply, valid or not, leaving them to the context that does handle them; only
+   * that context answers a malformed message with failure(error).
+   */
+  function createListener(handlers) {
+    return (message, sender, sendResponse) => {
+      const handler = isObject(message) && Object.prototype.hasOwnProperty.call(handlers, message.action)
+        ? handlers[message.action]
+        : null;
+      const error = validateMessage(message);
+
+      if (!handler) {
+        logDebug(error || `No handler for ${message.action} here`, message, sender);
+        return false;
+      }
+
+      if (error) {
+        logDebug(error, message, sender);
+        sendResponse(failure(error));
+        return false;
+      }
+
+      Promise.resolve()
+        .then(() => handler(message, sender))
+        .then(data => sendResponse(success(data)))
+        .catch(handlerError => {
+          console.error(`Owl Retro: ${message.action} failed:`, handlerError);
+          sendResponse(failure(handlerError));
+        });
+      return true; // Keep channel open for async response
+    };
+  }
+
+  /**
+   * Send to the service worker (and extension pages)
+   */
+  function sendToRuntime(action, payload) {
+    return chrome.runtime.sendMessage(createMessage(action, payload));
+  }
+
+  /**
+   * Send to a tab's content scripts; options as in tabs.sendMessage ({ frameId })
+   */
+  function sendToTab(tabId, action, payload, options) {
+    const message = createMessage(action, payload);
+    return options ? chrome.tabs.sendMessage(tabId, message, options) : chrome.tabs.sendMessage(tabId, message);
+  }
+
+  globalScope.OwlRetroMessages = {
+    PROTOCOL_VERSION,
+    ACTIONS,
+    validateMessage,
+    createMessage,
+    success,
+    failure,
+    createListener,
+    sendToRuntime,
+    sendToTab,
+    isDebug
+  };
+})();
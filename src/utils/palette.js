@@ -0,0 +1,376 @@
+/**
+ * Owl Retro - Palette Tokens
+ * Tema değişkenleri (--owl-*) ve renk yoğunluğu karıştırma
+ */
+
+(function() {
+  'use strict';
+
+  // Default token values, mirrored from retro-light.css and retro-dark.css
+  const DEFAULT_TOKENS = {
+    light: {
+      'bg-primary': '#faf8f3',
+      'bg-secondary': '#f5f2ea',
+      'bg-tertiary': '#ede9e0',
+      'text-primary': '#6d2744',
+      'text-secondary': '#685a3c',
+      'accent-1': '#c6312b',
+      'accent-2': '#992d3c',
+      'accent-3': '#b7b2a5',
+      'border-color': '#d4cfc4',
+      'shadow-color': 'rgba(104, 90, 60, 0.08)'
+    },
+    dark: {
+      'bg-primary': '#1a1815',
+      'bg-secondary': '#252320',
+      'bg-tertiary': '#2f2c28',
+      'text-primary': '#e8e3d8',
+      'text-secondary': '#c4bfb2',
+      'accent-1': '#e64b35',
+      'accent-2': '#fbcd43',
+      'accent-3': '#992d3c',
+      'border-color': '#3a3632',
+      'shadow-color': 'rgba(0, 0, 0, 0.2)'
+    }
+  };
+
+  // Palettes that ship with the extension; custom palettes use the same shape
+  const BUILTIN_PALETTES = {
+    retro: {
+      name: 'Owl Retro',
+      light: DEFAULT_TOKENS.light,
+      dark: DEFAULT_TOKENS.dark
+    }
+  };
+
+  const DEFAULT_PALETTE_ID = 'retro';
+
+  // Original site color each token falls back towards at lower intensity
+  const TOKEN_ROLES = {
+    'bg-primary': 'background',
+    'bg-secondary': 'background',
+    'bg-tertiary': 'background',
+    'text-primary': 'text',
+    'text-secondary': 'text',
+    'accent-1': 'link',
+    'accent-2': 'link',
+    'accent-3': 'link',
+    'border-color': 'border',
+    'shadow-color': 'text'
+  };
+
+  // Browser defaults, used when the page doesn't declare its own colors
+  const FALLBACK_ORIGINAL_COLORS = {
+    background: '#ffffff',
+    text: '#000000',
+    link: '#0000ee',
+    border: '#cccccc'
+  };
+
+  /**
+   * Parse hex (#rgb, #rrggbb) and rgb()/rgba() colors
+   */
+  function parseColor(value) {
+    if (!value) return null;
+    const color = value.trim().toLowerCase();
+
+    const hexMatch = /^#([a-f\d]{3}|[a-f\d]{6})$/.exec(color);
+    if (hexMatch) {
+      let hex = hexMatch[1];
+      if (hex.length === 3) {
+        hex = hex.split('').map(c => c + c).join('');
+      }
+      return {
+        r: parseInt(hex.slice(0, 2), 16),
+        g: parseInt(hex.slice(2, 4), 16),
+        b: parseInt(hex.slice(4, 6), 16),
+        a: 1
+      };
+    }
+
+    const rgbMatch = /^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/.exec(color);
+    if (rgbMatch) {
+      return {
+        r: parseFloat(rgbMatch[1]),
+        g: parseFloat(rgbMatch[2]),
+        b: parseFloat(rgbMatch[3]),
+        a: rgbMatch[4] !== undefined ? parseFloat(rgbMatch[4]) : 1
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Serialize an {r, g, b, a} color as rgba()
+   */
+  function formatColor(rgb) {
+    const r = Math.round(rgb.r);
+    const g = Math.round(rgb.g);
+    const b = Math.round(rgb.b);
+    const a = Math.round(rgb.a * 1000) / 1000;
+    return `rgba(${r}, ${g}, ${b}, ${a})`;
+  }
+
+  /**
+   * Serialize a color as #rrggbb (alpha dropped), for <input type="color">
+   */
+  function toHex(value) {
+    const rgb = parseColor(value);
+    if (!rgb) return '#000000';
+    return '#' + [rgb.r, rgb.g, rgb.b].map(c => {
+      const hex = Math.round(c).toString(16);
+      return hex.length === 1 ? '0' + hex : hex;
+    }).join('');
+  }
+
+  /**
+   * Linear blend between two colors (amount 0 = from, 1 = to)
+   */
+  function mixColors(from, to, amount) {
+    return {
+      r: from.r + (to.r - from.r) * amount,
+      g: from.g + (to.g - from.g) * amount,
+      b: from.b + (to.b - from.b) * amount,
+      a: from.a + (to.a - from.a) * amount
+    };
+  }
+
+  /**
+   * Convert {r, g, b} (0-255) to HSL (0-1 ranges)
+   */
+  function rgbToHsl(rgb) {
+    const r = rgb.r / 255;
+    const g = rgb.g / 255;
+    const b = rgb.b / 255;
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const l = (max + min) / 2;
+    let h = 0;
+    let s = 0;
+
+    if (max !== min) {
+      const d = max - min;
+      s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+      switch (max) {
+        case r: h = ((g - b) / d + (g < b ? 6 : 0)) / 6; break;
+        case g: h = ((b - r) / d + 2) / 6; break;
+        default: h = ((r - g) / d + 4) / 6;
+      }
+    }
+
+    return { h, s, l };
+  }
+
+  /**
+   * Convert HSL (0-1 ranges) back to {r, g, b} (0-255)
+   */
+  function hslToRgb(hsl) {
+    const { h, s, l } = hsl;
+    if (s === 0) {
+      return { r: l * 255, g: l * 255, b: l * 255 };
+    }
+
+    const hue2rgb = (p, q, t) => {
+      if (t < 0) t += 1;
+      if (t > 1) t -= 1;
+      if (t < 1/6) return p + (q - p) * 6 * t;
+      if (t < 1/2) return q;
+      if (t < 2/3) return p + (q - p) * (2/3 - t) * 6;
+      return p;
+    };
+
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+
+    return {
+      r: hue2rgb(p, q, h + 1/3) * 255,
+      g: hue2rgb(p, q, h) * 255,
+      b: hue2rgb(p, q, h - 1/3) * 255
+    };
+  }
+
+  /**
+   * Read the page's own colors before any theme class is applied
+   */
+  function captureOriginalColors() {
+    const colors = { ...FALLBACK_ORIGINAL_COLORS };
+    const html = document.documentElement;
+    const body = document.body;
+    if (!html || !body) return colors;
+
+    const isOpaque = (value) => {
+      const rgb = parseColor(value);
+      return rgb && rgb.a > 0;
+    };
+
+    const bodyStyle = window.getComputedStyle(body);
+    const htmlStyle = window.getComputedStyle(html);
+
+    if (isOpaque(bodyStyle.backgroundColor)) {
+      colors.background = bodyStyle.backgroundColor;
+    } else if (isOpaque(htmlStyle.backgroundColor)) {
+      colors.background = htmlStyle.backgroundColor;
+    }
+
+    if (isOpaque(bodyStyle.color)) {
+      colors.text = bodyStyle.color;
+    }
+
+    const link = body.querySelector('a[href]');
+    if (link) {
+      const linkColor = window.getComputedStyle(link).color;
+      if (isOpaque(linkColor)) {
+        colors.link = linkColor;
+      }
+    }
+
+    // Borders rarely have a single page-wide color, so derive one
+    const background = parseColor(colors.background);
+    const text = parseColor(colors.text);
+    if (background && text) {
+      colors.border = formatColor(mixColors(background, text, 0.2));
+    }
+
+    return colors;
+  }
+
+  /**
+   * Blend every token between the original site colors and the palette
+   */
+  function blendTokens(tokens, originalColors, intensity) {
+    const amount = Math.min(1, Math.max(0, Number(intensity)));
+    const original = originalColors || FALLBACK_ORIGINAL_COLORS;
+    const blended = {};
+
+    for (const [name, value] of Object.entries(tokens)) {
+      const target = parseColor(value);
+      const source = parseColor(original[TOKEN_ROLES[name]]);
+
+      if (!target || !source || amount >= 1) {
+        blended[name] = value;
+        continue;
+      }
+
+      // Move the original color to the token's lightness first, so a white
+      // page blended into dark mode stays dark and text keeps its contrast
+      const sourceHsl = rgbToHsl(source);
+      sourceHsl.l = rgbToHsl(target).l;
+      const adapted = { ...hslToRgb(sourceHsl), a: target.a };
+
+      const mixed = mixColors(adapted, target, amount);
+      blended[name] = formatColor(mixed);
+    }
+
+    return blended;
+  }
+
+  /**
+   * Look up a palette by id, falling back to the default palette.
+   * Missing tokens are filled from the defaults so older palettes keep working.
+   */
+  function resolvePalette(id, customPalettes = {}) {
+    const palette = (customPalettes && customPalettes[id]) ||
+      BUILTIN_PALETTES[id] ||
+      BUILTIN_PALETTES[DEFAULT_PALETTE_ID];
+
+    return {
+      name: palette.name,
+      light: { ...DEFAULT_TOKENS.light, ...palette.light },
+      dark: { ...DEFAULT_TOKENS.dark, ...palette.dark },
+      font: palette.font || null,
+      css: palette.css || ''
+    };
+  }
+
+  /**
+   * List built-in and custom palettes as [{ id, name, builtin }]
+   */
+  function listPalettes(customPalettes = {}) {
+    const builtins = Object.entries(BUILTIN_PALETTES)
+      .map(([id, palette]) => ({ id, name: palette.name, builtin: true }));
+    const customs = Object.entries(customPalettes || {})
+      .map(([id, palette]) => ({ id, name: palette.name, builtin: false }));
+    return builtins.concat(customs);
+  }
+
+  /**
+   * Split custom palettes for storage. Theme CSS can run to MAX_CSS_LENGTH per palette,
+   * too much for the single chrome.storage.sync item, so it is kept in
+   * chrome.storage.local as { paletteId: css } and the palettes are synced without it.
+   */
+  function splitPaletteCSS(customPalettes = {}) {
+    const palettes = {};
+    const css = {};
+    for (const [id, palette] of Object.entries(customPalettes || {})) {
+      const { css: paletteCSS, ...rest } = palette;
+      palettes[id] = rest;
+      if (paletteCSS) css[id] = paletteCSS;
+    }
+    return { palettes, css };
+  }
+
+  /**
+   * Put locally stored theme CSS back on the synced palettes (see splitPaletteCSS).
+   * CSS left over from a palette deleted on another device is ignored.
+   */
+  function joinPaletteCSS(palettes = {}, css = {}) {
+    const joined = {};
+    for (const [id, palette] of Object.entries(palettes || {})) {
+      joined[id] = css && css[id] ? { ...palette, css: css[id] } : palette;
+    }
+    return joined;
+  }
+
+  /**
+   * Build the stylesheet that overrides --owl-* tokens for a mode
+   */
+  function buildTokenCSS(mode, intensity, originalColors, tokens = DEFAULT_TOKENS[mode]) {
+    const themeMode = mode === 'dark' ? 'dark' : 'light';
+    const declarations = buildTokenDeclarations(tokens, originalColors, intensity);
+
+    // Keyed on data-owl-theme so Full, Minimal and Performance styles all pick it up
+    return `html.owl-retro[data-owl-theme="${themeMode}"] {\n${declarations}\n}`;
+  }
+
+  /**
+   * Build the rule giving elements forced to a mode (element picker) that mode's tokens.
+   * Themed descendants read the inherited tokens, so the whole region switches.
+   */
+  function buildForcedModeCSS(mode, intensity, originalColors, tokens = DEFAULT_TOKENS[mode]) {
+    const themeMode = mode === 'dark' ? 'dark' : 'light';
+    const declarations = buildTokenDeclarations(tokens, originalColors, intensity);
+
+    return `html.owl-retro .owl-force-${themeMode} {\n${declarations}\n` +
+      '  background-color: var(--owl-bg-primary) !important;\n' +
+      '  color: var(--owl-text-primary) !important;\n}';
+  }
+
+  function buildTokenDeclarations(tokens, originalColors, intensity) {
+    return Object.entries(blendTokens(tokens, originalColors, intensity))
+      .map(([name, value]) => `  --owl-${name}: ${value};`)
+      .join('\n');
+  }
+
+  // Also loaded by the service worker, which has no window
+  const globalScope = typeof window !== 'undefined' ? window : self;
+
+  globalScope.OwlRetroPalette = {
+    DEFAULT_TOKENS,
+    BUILTIN_PALETTES,
+    DEFAULT_PALETTE_ID,
+    TOKEN_ROLES,
+    parseColor,
+    formatColor,
+    toHex,
+    mixColors,
+    captureOriginalColors,
+    blendTokens,
+    resolvePalette,
+    listPalettes,
+    splitPaletteCSS,
+    joinPaletteCSS,
+    buildTokenCSS,
+    buildForcedModeCSS
+  };
+})();
@@ -0,0 +1,190 @@
+/**
+ * Owl Retro - Mode Schedule
+ * Zamanlanmış açık/koyu mod: sabit saatler veya yerel olarak hesaplanan gün doğumu/batımı
+ */
+
+(function() {
+  'use strict';
+
+  const globalScope = typeof window !== 'undefined' ? window : self;
+
+  const SCHEDULE_TYPES = {
+    FIXED: 'fixed',
+    SUN: 'sun'
+  };
+
+  const DEFAULT_SCHEDULE = {
+    type: SCHEDULE_TYPES.FIXED,
+    darkStart: '19:00',
+    darkEnd: '07:00',
+    latitude: null,
+    longitude: null
+  };
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const RAD = Math.PI / 180;
+
+  /**
+   * Parse "HH:MM" into minutes after midnight, or null
+   */
+  function parseTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+    if (!match) return null;
+
+    const hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    if (hours > 23 || minutes > 59) return null;
+
+    return hours * 60 + minutes;
+  }
+
+  function hasCoordinates(schedule) {
+    return Number.isFinite(schedule.latitude) && Number.isFinite(schedule.longitude) &&
+      Math.abs(schedule.latitude) <= 90 && Math.abs(schedule.longitude) <= 180;
+  }
+
+  /**
+   * Validate a schedule; returns a list of error messages
+   */
+  function validateSchedule(schedule) {
+    const errors = [];
+    if (!schedule) return errors;
+
+    if (schedule.type === SCHEDULE_TYPES.SUN) {
+      if (!hasCoordinates(schedule)) {
+        errors.push('Latitude must be between -90 and 90 and longitude between -180 and 180.');
+      }
+    } else {
+      if (parseTime(schedule.darkStart) === null) {
+        errors.push('Dark mode start must be a time like 19:00.');
+      }
+      if (parseTime(schedule.darkEnd) === null) {
+        errors.push('Dark mode end must be a time like 07:00.');
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Sunrise and sunset for the local calendar day of `date` (sunrise equation, no network).
+   * Returns { sunrise, sunset } as Dates, or { polar: 'day' | 'night' } when the sun doesn't cross the horizon.
+   */
+  function getSunTimes(date, latitude, longitude) {
+    const localNoon = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 12);
+    const julianNoon = localNoon.getTime() / DAY_MS + 2440587.5;
+
+    // Solar noon at this longitude, in days since J2000
+    const day = Math.round(julianNoon - 2451545.0 + longitude / 360);
+    const meanSolarNoon = day - longitude / 360;
+
+    const anomaly = (357.5291 + 0.98560028 * meanSolarNoon) % 360;
+    const center = 1.9148 * Math.sin(anomaly * RAD) +
+      0.02 * Math.sin(2 * anomaly * RAD) +
+      0.0003 * Math.sin(3 * anomaly * RAD);
+    const eclipticLongitude = (anomaly + center + 180 + 102.9372) % 360;
+    const transit = 2451545.0 + meanSolarNoon +
+      0.0053 * Math.sin(anomaly * RAD) -
+      0.0069 * Math.sin(2 * eclipticLongitude * RAD);
+
+    const declination = Math.asin(Math.sin(eclipticLongitude * RAD) * Math.sin(23.4397 * RAD));
+    const cosHourAngle = (Math.sin(-0.833 * RAD) - Math.sin(latitude * RAD) * Math.sin(declination)) /
+      (Math.cos(latitude * RAD) * Math.cos(declination));
+
+    if (cosHourAngle < -1) return { polar: 'day' };
+    if (cosHourAngle > 1) return { polar: 'night' };
+
+    const hourAngle = Math.acos(cosHourAngle) / RAD;
+    const toDate = (julian) => new Date((julian - 2440587.5) * DAY_MS);
+
+    return {
+      sunrise: toDate(transit - hourAngle / 360),
+      sunset: toDate(transit + hourAngle / 360)
+    };
+  }
+
+  /**
+   * Dark period for the local day of `date` as { start, end } Dates (end may fall on the next day),
+   * or { always: 'light' | 'dark' }
+   */
+  function getDarkPeriod(schedule, date) {
+    if (schedule.type === SCHEDULE_TYPES.SUN && hasCoordinates(schedule)) {
+      const sun = getSunTimes(date, schedule.latitude, schedule.longitude);
+      if (sun.polar) {
+        return { always: sun.polar === 'day' ? 'light' : 'dark' };
+      }
+
+      // Dark from today's sunset until tomorrow's sunrise
+      const next = getSunTimes(new Date(date.getTime() + DAY_MS), schedule.latitude, schedule.longitude);
+      return { start: sun.sunset, end: next.sunrise || new Date(sun.sunset.getTime() + DAY_MS / 2) };
+    }
+
+    // Fixed times (also the fallback for a sun schedule without coordinates)
+    const start = parseTime(schedule.darkStart);
+    const end = parseTime(schedule.darkEnd);
+    if (start === null || end === null || start === end) {
+      return { always: 'light' };
+    }
+
+    const atMinutes = (minutes, dayOffset = 0) => new Date(
+      date.getFullYear(), date.getMonth(), date.getDate() + dayOffset,
+      Math.floor(minutes / 60), minutes % 60
+    );
+
+    return {
+      start: atMinutes(start),
+      end: atMinutes(end, end < start ? 1 : 0)
+    };
+  }
+
+  /**
+   * Mode the schedule asks for at `now`: 'light' or 'dark'
+   */
+  function getScheduledMode(schedule, now = new Date()) {
+    const resolved = { ...DEFAULT_SCHEDULE, ...schedule };
+
+    // A period that started yesterday may still be running
+    const yesterday = getDarkPeriod(resolved, new Date(now.getTime() - DAY_MS));
+    if (yesterday.start && now >= yesterday.start && now < yesterday.end) {
+      return 'dark';
+    }
+
+    const today = getDarkPeriod(resolved, now);
+    if (today.always) {
+      return today.always;
+    }
+    return now >= today.start && now < today.end ? 'dark' : 'light';
+  }
+
+  /**
+   * Next time the scheduled mode changes after `now`, or null if it won't within two days
+   */
+  function getNextBoundary(schedule, now = new Date()) {
+    const resolved = { ...DEFAULT_SCHEDULE, ...schedule };
+    const current = getScheduledMode(resolved, now);
+
+    // Walk forward through the candidate boundaries of the next few days
+    const candidates = [];
+    for (let offset = -1; offset <= 2; offset++) {
+      const period = getDarkPeriod(resolved, new Date(now.getTime() + offset * DAY_MS));
+      if (period.start) {
+        candidates.push(period.start, period.end);
+      }
+    }
+
+    return candidates
+      .filter(time => time > now)
+      .sort((a, b) => a - b)
+      .find(time => getScheduledMode(resolved, new Date(time.getTime() + 1000)) !== current) || null;
+  }
+
+  globalScope.OwlRetroSchedule = {
+    SCHEDULE_TYPES,
+    DEFAULT_SCHEDULE,
+    parseTime,
+    validateSchedule,
+    getSunTimes,
+    getScheduledMode,
+    getNextBoundary
+  };
+})();
@@ -0,0 +1,271 @@
+/**
+ * Owl Retro - Site Rule Matcher
+ * İzin/engel listesi kuralları: alan adı, joker alt alan adı, yol öneki ve regex
+ * Site bazlı ayar geçersiz kılmaları da aynı kural sözdizimini kullanır
+ */
+
+(function() {
+  'use strict';
+
+  // Rule syntax:
+  //   example.com           example.com and all of its subdomains
+  //   *.atlassian.net       subdomains of atlassian.net only
+  //   github.com/*/pull/*   host plus URL path prefix ("*" matches within one path segment)
+  //   /^https:\/\/x\.io/i   regular expression tested against the full URL
+
+  const globalScope = typeof window !== 'undefined' ? window : self;
+
+  // Compiled rules, keyed by raw rule text
+  const compiledRules = new Map();
+
+  function escapeRegExp(text) {
+    return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Compile a rule into { type, raw, test(url) }, or throw with a readable message
+   */
+  function compileRule(raw) {
+    const rule = String(raw || '').trim();
+    if (!rule) {
+      throw new Error('Rule is empty.');
+    }
+
+    // Regex rule: /pattern/flags
+    const regexMatch = /^\/(.+)\/([a-z]*)$/.exec(rule);
+    if (regexMatch) {
+      // g and y make test() resume from lastIndex, so a shared regex would skip matches
+      const flags = regexMatch[2].replace(/[gy]/g, '');
+      let regex;
+      try {
+        regex = new RegExp(regexMatch[1], flags);
+      } catch (error) {
+        throw new Error(error.message);
+      }
+      return { type: 'regex', raw: rule, test: (url) => regex.test(url.href) };
+    }
+
+    // Strip an optional scheme so pasted URLs work as rules
+    const withoutScheme = rule.replace(/^[a-z]+:\/\//i, '');
+    const slashIndex = withoutScheme.indexOf('/');
+    const hostPattern = (slashIndex === -1 ? withoutScheme : withoutScheme.slice(0, slashIndex)).toLowerCase();
+    const pathPattern = slashIndex === -1 ? '' : withoutScheme.slice(slashIndex);
+
+    if (!/^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*(:\d+)?$/.test(hostPattern)) {
+      throw new Error(`"${hostPattern}" is not a valid host. Use example.com or *.example.com.`);
+    }
+
+    const host = hostPattern.replace(/:\d+$/, '');
+    const isWildcard = host.startsWith('*.');
+    const baseHost = isWildcard ? host.slice(2) : host;
+
+    const testHost = (hostname) => {
+      const name = hostname.toLowerCase();
+      const isSubdomain = name.endsWith('.' + baseHost);
+      return isWildcard ? isSubdomain : (name === baseHost || isSubdomain);
+    };
+
+    // Host-only rules (path "/" or none)
+    if (!pathPattern || pathPattern === '/' || pathPattern === '/*') {
+      return {
+        type: isWildcard ? 'wildcard' : 'host',
+        raw: rule,
+        test: (url) => testHost(url.hostname)
+      };
+    }
+
+    // Path prefix: "*" matches within one segment, and the prefix must end on a segment boundary
+    const pathSource = pathPattern
+      .replace(/\/\*$/, '')
+      .split('*')
+      .map(escapeRegExp)
+      .join('[^/]*');
+    const pathRegex = new RegExp(`^${pathSource}(?:[/?#]|$)`);
+
+    return {
+      type: 'path',
+      raw: rule,
+      test: (url) => testHost(url.hostname) && pathRegex.test(url.pathname)
+    };
+  }
+
+  function getCompiledRule(raw) {
+    if (!compiledRules.has(raw)) {
+      let compiled;
+      try {
+        compiled = compileRule(raw);
+      } catch (error) {
+        compiled = null;
+      }
+      compiledRules.set(raw, compiled);
+    }
+    return compiledRules.get(raw);
+  }
+
+  function toURL(url) {
+    if (url instanceof URL) return url;
+    try {
+      return new URL(url);
+    } catch (error) {
+      // Bare hostnames (as stored by older versions) are treated as https URLs
+      return new URL(`https://${url}`);
+    }
+  }
+
+  /**
+   * Validate a rule; returns an error message or null
+   */
+  function validateRule(raw) {
+    try {
+      compileRule(raw);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  /**
+   * Describe a rule's type: 'host', 'wildcard', 'path', 'regex' (null if invalid)
+   */
+  function getRuleType(raw) {
+    const compiled = getCompiledRule(raw);
+    return compiled ? compiled.type : null;
+  }
+
+  /**
+   * Check if a single rule matches a URL (URL object, href, or hostname)
+   */
+  function matchesRule(raw, url) {
+    const compiled = getCompiledRule(raw);
+    return Boolean(compiled && compiled.test(toURL(url)));
+  }
+
+  /**
+   * Return the first rule in a list matching the URL, or null
+   */
+  function findMatchingRule(rules, url) {
+    if (!Array.isArray(rules) || rules.length === 0) return null;
+
+    const target = toURL(url);
+    return rules.find(rule => {
+      const compiled = getCompiledRule(rule);
+      return compiled && compiled.test(target);
+    }) || null;
+  }
+
+  /**
+   * Resolve allow/block status for a URL.
+   * Returns { allowed, list: 'blocklist' | 'allowlist' | null, rule }
+   */
+  function getSiteRuleMatch(preferences, url) {
+    if (!preferences) {
+      return { allowed: true, list: null, rule: null };
+    }
+
+    // Check blocklist first
+    const blockRule = findMatchingRule(preferences.siteBlocklist, url);
+    if (blockRule) {
+      return { allowed: false, list: 'blocklist', rule: blockRule };
+    }
+
+    // When an allowlist exists, only matching sites are allowed
+    const allowlist = preferences.siteAllowlist || [];
+    const allowRule = findMatchingRule(allowlist, url);
+    if (allowRule) {
+      return { allowed: true, list: 'allowlist', rule: allowRule };
+    }
+
+    return { allowed: allowlist.length === 0, list: null, rule: null };
+  }
+
+  /**
+   * Check if a URL is allowed by the allow/block lists
+   */
+  function isSiteAllowed(preferences, url) {
+    return getSiteRuleMatch(preferences, url).allowed;
+  }
+
+  // Settings a site override may change
+  const OVERRIDE_FIELDS = [
+    'mode', 'useMonospace', 'font', 'fontScope', 'fontScale', 'lineHeightScale',
+    'intensity', 'themeStyle', 'imageTreatment', 'framePolicy'
+  ];
+
+  /**
+   * Find override keys matching a URL, least specific first:
+   * host rules (shorter first), then path rules (shorter first)
+   */
+  function findMatchingOverrides(siteOverrides, url) {
+    if (!siteOverrides) return [];
+
+    const target = toURL(url);
+    const rank = (type) => (type === 'path' || type === 'regex' ? 1 : 0);
+
+    return Object.keys(siteOverrides)
+      .map(key => ({ key, compiled: getCompiledRule(key) }))
+      .filter(({ compiled }) => compiled && compiled.test(target))
+      .sort((a, b) => (rank(a.compiled.type) - rank(b.compiled.type)) || (a.key.length - b.key.length))
+      .map(({ key }) => key);
+  }
+
+  /**
+   * Resolve effective settings for a URL: global -> site -> path.
+   * Returns { settings, overrideKeys } where overrideKeys lists applied overrides in order.
+   */
+  function resolveSiteSettings(preferences, url) {
+    const settings = {};
+    OVERRIDE_FIELDS.forEach(field => {
+      settings[field] = preferences ? preferences[field] : undefined;
+    });
+
+    if (!preferences || !url) {
+      return { settings, overrideKeys: [] };
+    }
+
+    const overrideKeys = findMatchingOverrides(preferences.siteOverrides, url);
+    overrideKeys.forEach(key => {
+      const override = preferences.siteOverrides[key] || {};
+      OVERRIDE_FIELDS.forEach(field => {
+        if (override[field] !== undefined) {
+          settings[field] = override[field];
+        }
+      });
+    });
+
+    return { settings, overrideKeys };
+  }
+
+  /**
+   * Return preferences with one setting changed where it applies to a URL:
+   * in the most specific matching override, or globally when none matches
+   */
+  function updateSetting(preferences, url, field, value) {
+    const { overrideKeys } = resolveSiteSettings(preferences, url);
+    const overrideKey = overrideKeys[overrideKeys.length - 1];
+
+    if (!overrideKey) {
+      return { ...preferences, [field]: value };
+    }
+
+    return {
+      ...preferences,
+      siteOverrides: {
+        ...preferences.siteOverrides,
+        [overrideKey]: { ...preferences.siteOverrides[overrideKey], [field]: value }
+      }
+    };
+  }
+
+  globalScope.OwlRetroSiteRules = {
+    OVERRIDE_FIELDS,
+    validateRule,
+    getRuleType,
+    matchesRule,
+    findMatchingRule,
+    getSiteRuleMatch,
+    isSiteAllowed,
+    findMatchingOverrides,
+    resolveSiteSettings,
+    updateSetting
+  };
+})();
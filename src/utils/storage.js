@@ -4,6 +4,7 @@
  */
 
 import { STORAGE_KEYS, DEFAULT_PREFERENCES, CACHE_CONFIG } from './constants.js';
+import './site-rules.js';
 
 /**
  * Get value from storage
@@ -200,22 +201,19 @@ async function migrate(fromVersion, toVersion) {
 
 /**
  * Check if site is allowed
+ * Accepts a full URL or a bare hostname; rules may use wildcards, path prefixes or regex
  */
-export async function isSiteAllowed(hostname) {
+export async function isSiteAllowed(url) {
   const prefs = await getPreferences();
-  
-  // Check blocklist first
-  if (prefs.siteBlocklist && prefs.siteBlocklist.includes(hostname)) {
-    return false;
-  }
-  
-  // Check allowlist if it exists
-  if (prefs.siteAllowlist && prefs.siteAllowlist.length > 0) {
-    return prefs.siteAllowlist.includes(hostname);
-  }
-  
-  // Default to allowed if not in blocklist
-  return true;
+  return self.OwlRetroSiteRules.isSiteAllowed(prefs, url);
+}
+
+/**
+ * Find which allow/block rule applies to a URL
+ */
+export async function getSiteRuleMatch(url) {
+  const prefs = await getPreferences();
+  return self.OwlRetroSiteRules.getSiteRuleMatch(prefs, url);
 }
 
 /**
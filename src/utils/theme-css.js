@@ -0,0 +1,71 @@
+/**
+ * Owl Retro - Theme Stylesheets
+ * Tema stil sayfası derleme: mod ve stile göre yalnızca gereken CSS dosyalarını birleştirir
+ *
+ * The service worker compiles each stylesheet once and hands it to content scripts;
+ * content scripts only need the key to know whether they already have it.
+ */
+
+(function() {
+  'use strict';
+
+  const globalScope = typeof window !== 'undefined' ? window : self;
+
+  const STYLES_DIRECTORY = 'src/styles/';
+
+  // The font and space detectors apply to every theme style, the CRT effects only to the full one
+  const STYLESHEETS = {
+    light: ['retro-light.css', 'retro-font.css', 'white-space-detector.css', 'dark-space-detector.css', 'retro-effects.css'],
+    dark: ['retro-dark.css', 'retro-font.css', 'white-space-detector.css', 'dark-space-detector.css', 'retro-effects.css'],
+    // retro-minimal.css covers minimal light, minimal dark and performance
+    minimal: ['retro-minimal.css', 'retro-font.css', 'white-space-detector.css', 'dark-space-detector.css']
+  };
+
+  /**
+   * Stylesheet needed for a resolved mode (light/dark) and theme style
+   */
+  function getStylesheetKey(mode, themeStyle) {
+    if (themeStyle === 'minimal' || themeStyle === 'performance') {
+      return 'minimal';
+    }
+    return mode === 'dark' ? 'dark' : 'light';
+  }
+
+  /**
+   * Keys a set of preferences can ask for, global settings and site overrides alike.
+   * auto and schedule resolve per page, so they need both modes.
+   */
+  function getStylesheetKeys(preferences) {
+    const global = preferences || {};
+    const overrides = Object.values(global.siteOverrides || {});
+    const keys = new Set();
+
+    [global, ...overrides].forEach(override => {
+      const mode = override.mode || global.mode;
+      const themeStyle = override.themeStyle || global.themeStyle;
+      const modes = mode === 'light' || mode === 'dark' ? [mode] : ['light', 'dark'];
+      modes.forEach(resolved => keys.add(getStylesheetKey(resolved, themeStyle)));
+    });
+    return Array.from(keys);
+  }
+
+  /**
+   * Concatenate a stylesheet's files. readFile(path) resolves to the text of an extension file.
+   */
+  async function compileStylesheet(key, readFile) {
+    const files = STYLESHEETS[key];
+    if (!files) {
+      throw new Error(`Unknown theme stylesheet: ${key}`);
+    }
+
+    const texts = await Promise.all(files.map(file => readFile(STYLES_DIRECTORY + file)));
+    return texts.join('\n');
+  }
+
+  globalScope.OwlRetroThemeCSS = {
+    STYLESHEETS,
+    getStylesheetKey,
+    getStylesheetKeys,
+    compileStylesheet
+  };
+})();
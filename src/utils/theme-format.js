@@ -0,0 +1,238 @@
+/**
+ * Owl Retro - Theme File Format
+ * Paylaşılabilir, sürümlü JSON tema dosyası (okuma, yazma, doğrulama, yükseltme)
+ *
+ * Requires palette.js and fonts.js to be loaded first.
+ *
+ * Format (version 1):
+ * {
+ *   "format": "owl-retro-theme",
+ *   "version": 1,
+ *   "name": "Amber Terminal",
+ *   "palette": { "light": { "bg-primary": "#...", ... }, "dark": { ... } },
+ *   "font": "vt323",              // optional: "default" or a font id from fonts.js
+ *   "css": "html.owl-retro a { }" // optional extra CSS
+ * }
+ */
+
+(function() {
+  'use strict';
+
+  const globalScope = typeof window !== 'undefined' ? window : self;
+
+  const FORMAT_ID = 'owl-retro-theme';
+  const FORMAT_VERSION = 1;
+  // "default" keeps the user's own font; "monospace" is what early files called system-mono
+  const LEGACY_FONTS = { monospace: 'system-mono' };
+  const MAX_NAME_LENGTH = 60;
+  // Themes are kept in chrome.storage.sync, which caps each item at 8 KB
+  const MAX_CSS_LENGTH = 2000;
+  // Shared themes run on every page, where a background URL per attribute selector could leak page data
+  const EXTERNAL_RESOURCE_PATTERN = /@import|url\s*\(|image-set\s*\(/i;
+
+  /**
+   * Upgrade steps, keyed by the version they upgrade from
+   */
+  const MIGRATIONS = {
+    // Version 0: a bare stored palette ({ name, light, dark }) without a header
+    0: (theme) => ({
+      format: FORMAT_ID,
+      version: 1,
+      name: theme.name,
+      palette: {
+        light: theme.light || {},
+        dark: theme.dark || {}
+      },
+      font: theme.font,
+      css: theme.css
+    })
+  };
+
+  /**
+   * Values "font" may take: "default", a legacy name, or a font picker id
+   */
+  function getFontChoices() {
+    const fontIds = globalScope.OwlRetroFonts.listFonts().map(font => font.id);
+    return ['default', ...Object.keys(LEGACY_FONTS), ...fontIds];
+  }
+
+  /**
+   * Read the version of a theme object; headerless objects are version 0
+   */
+  function getThemeVersion(theme) {
+    if (theme.format === undefined && theme.version === undefined) {
+      return 0;
+    }
+    return theme.version;
+  }
+
+  /**
+   * Upgrade a theme object to the current format version
+   */
+  function upgradeTheme(theme) {
+    if (!theme || typeof theme !== 'object' || Array.isArray(theme)) {
+      throw new Error('Theme file must contain a JSON object.');
+    }
+
+    let version = getThemeVersion(theme);
+    if (!Number.isInteger(version) || version < 0) {
+      throw new Error(`Theme "version" must be a whole number, got ${JSON.stringify(theme.version)}.`);
+    }
+    if (version > FORMAT_VERSION) {
+      throw new Error(`Theme version ${version} is newer than this extension supports (${FORMAT_VERSION}). Please update Owl Retro.`);
+    }
+
+    let upgraded = theme;
+    while (version < FORMAT_VERSION) {
+      upgraded = MIGRATIONS[version](upgraded);
+      version = upgraded.version;
+    }
+
+    return upgraded;
+  }
+
+  /**
+   * Validate a current-version theme; returns a list of error messages
+   */
+  function validateTheme(theme) {
+    const errors = [];
+    const paletteAPI = globalScope.OwlRetroPalette;
+    const tokenNames = Object.keys(paletteAPI.DEFAULT_TOKENS.light);
+
+    if (theme.format !== FORMAT_ID) {
+      errors.push(`"format" must be "${FORMAT_ID}".`);
+    }
+
+    if (typeof theme.name !== 'string' || !theme.name.trim()) {
+      errors.push('"name" must be a non-empty string.');
+    } else if (theme.name.length > MAX_NAME_LENGTH) {
+      errors.push(`"name" must be at most ${MAX_NAME_LENGTH} characters.`);
+    }
+
+    if (!theme.palette || typeof theme.palette !== 'object') {
+      errors.push('"palette" must be an object with "light" and "dark" variants.');
+    } else {
+      ['light', 'dark'].forEach(mode => {
+        const tokens = theme.palette[mode];
+        if (!tokens || typeof tokens !== 'object' || Array.isArray(tokens)) {
+          errors.push(`"palette.${mode}" must be an object of color tokens.`);
+          return;
+        }
+
+        Object.entries(tokens).forEach(([token, value]) => {
+          if (!tokenNames.includes(token)) {
+            errors.push(`"palette.${mode}" has unknown token "${token}". Known tokens: ${tokenNames.join(', ')}.`);
+          } else if (typeof value !== 'string' || !paletteAPI.parseColor(value)) {
+            errors.push(`"palette.${mode}.${token}" must be a hex or rgb()/rgba() color, got ${JSON.stringify(value)}.`);
+          }
+        });
+      });
+    }
+
+    const fontChoices = getFontChoices();
+    if (theme.font !== undefined && !fontChoices.includes(theme.font)) {
+      errors.push(`"font" must be one of ${fontChoices.map(f => `"${f}"`).join(', ')}.`);
+    }
+
+    if (theme.css !== undefined) {
+      if (typeof theme.css !== 'string') {
+        errors.push('"css" must be a string.');
+      } else if (theme.css.length > MAX_CSS_LENGTH) {
+        errors.push(`"css" must be at most ${MAX_CSS_LENGTH} characters (got ${theme.css.length}).`);
+      } else if (EXTERNAL_RESOURCE_PATTERN.test(theme.css)) {
+        errors.push('"css" must not use @import, url() or image-set(); themes cannot load external resources.');
+      } else if (theme.css.includes('\\')) {
+        // Escapes could spell url( without the letters matching the check above
+        errors.push('"css" must not use backslash escapes.');
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Parse, upgrade and validate theme file text
+   */
+  function parseThemeFile(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Theme file is not valid JSON: ${error.message}`);
+    }
+
+    const theme = upgradeTheme(data);
+    const errors = validateTheme(theme);
+    if (errors.length > 0) {
+      throw new Error(`Invalid theme file:\n- ${errors.join('\n- ')}`);
+    }
+
+    return theme;
+  }
+
+  /**
+   * Create a theme object from a stored palette
+   */
+  function createTheme(palette, options = {}) {
+    const theme = {
+      format: FORMAT_ID,
+      version: FORMAT_VERSION,
+      name: palette.name,
+      palette: {
+        light: { ...palette.light },
+        dark: { ...palette.dark }
+      }
+    };
+
+    const font = options.font || palette.font;
+    if (font) {
+      theme.font = font;
+    }
+
+    const css = options.css !== undefined ? options.css : palette.css;
+    if (css) {
+      theme.css = css;
+    }
+
+    return theme;
+  }
+
+  /**
+   * Serialize a stored palette as theme file text
+   */
+  function serializeTheme(palette, options = {}) {
+    return JSON.stringify(createTheme(palette, options), null, 2);
+  }
+
+  /**
+   * Convert a theme into the shape kept in owl_custom_palettes
+   */
+  function themeToPalette(theme) {
+    const palette = {
+      name: theme.name.trim(),
+      light: { ...theme.palette.light },
+      dark: { ...theme.palette.dark }
+    };
+
+    if (theme.font) {
+      palette.font = LEGACY_FONTS[theme.font] || theme.font;
+    }
+    if (theme.css) {
+      palette.css = theme.css;
+    }
+
+    return palette;
+  }
+
+  globalScope.OwlRetroThemeFormat = {
+    FORMAT_ID,
+    FORMAT_VERSION,
+    getFontChoices,
+    upgradeTheme,
+    validateTheme,
+    parseThemeFile,
+    createTheme,
+    serializeTheme,
+    themeToPalette
+  };
+})();
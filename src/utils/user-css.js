@@ -0,0 +1,124 @@
+/**
+ * Owl Retro - Site CSS Snippets
+ * Site bazlı kullanıcı CSS'i: {{token}} yer tutucuları ve html.owl-retro kapsamı
+ *
+ * Requires palette.js and element-rules.js to be loaded first.
+ */
+
+(function() {
+  'use strict';
+
+  const globalScope = typeof window !== 'undefined' ? window : self;
+
+  // Snippets live in chrome.storage.local, but a single site shouldn't need more than this
+  const MAX_SNIPPET_LENGTH = 20000;
+
+  // Short names for palette tokens; every token name ({{bg-primary}}, {{accent-2}}, ...) works too
+  const PLACEHOLDER_ALIASES = {
+    background: 'bg-primary',
+    text: 'text-primary',
+    primary: 'accent-1',
+    secondary: 'accent-2',
+    tertiary: 'accent-3',
+    border: 'border-color',
+    shadow: 'shadow-color'
+  };
+
+  function getTokenNames() {
+    return Object.keys(globalScope.OwlRetroPalette.DEFAULT_TOKENS.light);
+  }
+
+  /**
+   * Replace {{name}} placeholders with the matching --owl-* token.
+   * Tokens follow the active palette, mode and intensity, so snippets survive palette changes.
+   * Returns { css, unknown } where unknown lists names that aren't tokens.
+   */
+  function resolvePlaceholders(css) {
+    const tokenNames = getTokenNames();
+    const unknown = [];
+
+    const resolved = String(css || '').replace(/\{\{\s*([\w-]+)\s*\}\}/g, (match, name) => {
+      const token = PLACEHOLDER_ALIASES[name] || name;
+      if (!tokenNames.includes(token)) {
+        unknown.push(name);
+        return match;
+      }
+      return `var(--owl-${token})`;
+    });
+
+    return { css: resolved, unknown };
+  }
+
+  /**
+   * Prefix a selector so it only applies while the theme is on
+   */
+  function scopeSelector(selector) {
+    const trimmed = selector.trim();
+    if (/^:root\b/.test(trimmed)) {
+      return trimmed.replace(/^:root/, 'html.owl-retro');
+    }
+    if (/^html\b/i.test(trimmed)) {
+      return trimmed.replace(/^html/i, 'html.owl-retro');
+    }
+    return `html.owl-retro ${trimmed}`;
+  }
+
+  /**
+   * Scope every style rule of a snippet under html.owl-retro
+   */
+  function scopeCSS(css) {
+    const { splitSelectorList } = globalScope.OwlRetroElementRules;
+    const sheet = new CSSStyleSheet();
+    sheet.replaceSync(css);
+
+    const scopeRules = (rules) => {
+      Array.from(rules).forEach(rule => {
+        if (rule.selectorText) {
+          rule.selectorText = splitSelectorList(rule.selectorText).map(scopeSelector).join(', ');
+        } else if (rule.cssRules) {
+          scopeRules(rule.cssRules);
+        }
+      });
+    };
+    scopeRules(sheet.cssRules);
+
+    return Array.from(sheet.cssRules).map(rule => rule.cssText).join('\n');
+  }
+
+  /**
+   * Validate a snippet; returns a list of error messages
+   */
+  function validateSnippet(css) {
+    const errors = [];
+
+    if (css.length > MAX_SNIPPET_LENGTH) {
+      errors.push(`CSS must be at most ${MAX_SNIPPET_LENGTH} characters (got ${css.length}).`);
+    }
+    if (/@import/i.test(css)) {
+      errors.push('@import is not supported; snippets cannot load external stylesheets.');
+    }
+
+    const { unknown } = resolvePlaceholders(css);
+    if (unknown.length > 0) {
+      const known = Object.keys(PLACEHOLDER_ALIASES).concat(getTokenNames());
+      errors.push(`Unknown placeholder${unknown.length > 1 ? 's' : ''} ${unknown.map(name => `{{${name}}}`).join(', ')}. Available: ${known.join(', ')}.`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Turn a stored snippet into the CSS injected into the page
+   */
+  function compileSnippet(css) {
+    return scopeCSS(resolvePlaceholders(css).css);
+  }
+
+  globalScope.OwlRetroUserCSS = {
+    MAX_SNIPPET_LENGTH,
+    PLACEHOLDER_ALIASES,
+    resolvePlaceholders,
+    validateSnippet,
+    compileSnippet
+  };
+})();
@@ -0,0 +1,110 @@
+/**
+ * Owl Retro - Color Utils Tests
+ * Renk ayrıştırma ve serileştirme testleri
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseColor, serializeColor, mapColorsInValue, mapToRetroPalette, rgbToOklab } from '../src/utils/color-utils.js';
+
+// The same colors written in each syntax the parser accepts
+const SAMPLES = [
+  ['#ff0000', 'rgb(255, 0, 0)', 'rgb(255 0 0)', 'hsl(0, 100%, 50%)', 'hsl(0 100% 50%)', 'oklch(0.628 0.2577 29.23)'],
+  ['#fbcd43', 'rgb(251, 205, 67)', 'rgb(98.43% 80.39% 26.27%)', 'hsl(45 95.83% 62.35%)'],
+  ['#6d274480', 'rgba(109, 39, 68, 0.502)', 'rgb(109 39 68 / 50.2%)', 'hsla(334.29, 47.3%, 29.02%, 0.502)'],
+  ['#808080', 'rgb(128, 128, 128)', 'hsl(0 0% 50.2%)', 'oklch(0.5999 0 0)']
+];
+
+const FORMATS = ['rgb', 'hex', 'hsl', 'oklch'];
+
+// Serialized channels are rounded: integers for rgb/hex, 2-4 decimals for hsl/oklch
+function assertSameColor(actual, expected, message) {
+  assert.ok(actual, `${message}: did not parse`);
+  ['r', 'g', 'b'].forEach(channel => {
+    assert.ok(Math.abs(actual[channel] - expected[channel]) <= 1,
+      `${message}: ${channel} ${actual[channel]} vs ${expected[channel]}`);
+  });
+  assert.ok(Math.abs(actual.a - expected.a) <= 1 / 255, `${message}: alpha ${actual.a} vs ${expected.a}`);
+}
+
+test('every syntax of a color parses to the same value', () => {
+  SAMPLES.forEach(([reference, ...variants]) => {
+    const expected = parseColor(reference);
+    variants.forEach(variant => assertSameColor(parseColor(variant), expected, variant));
+  });
+});
+
+test('parse, serialize and parse again round-trips in every format', () => {
+  SAMPLES.flat().forEach(source => {
+    const parsed = parseColor(source);
+    FORMATS.forEach(format => {
+      const serialized = serializeColor(parsed, format);
+      assertSameColor(parseColor(serialized), parsed, `${source} as ${format} (${serialized})`);
+    });
+  });
+});
+
+test('serializing a parsed color is stable', () => {
+  SAMPLES.flat().forEach(source => {
+    FORMATS.forEach(format => {
+      const once = serializeColor(parseColor(source), format);
+      const twice = serializeColor(parseColor(once), format);
+      assert.equal(twice, once, `${source} as ${format}`);
+    });
+  });
+});
+
+test('separators must not mix the legacy and modern syntaxes', () => {
+  [
+    'rgb(1, 2 3)',
+    'rgb(1 2, 3)',
+    'rgb(1, 2, 3 / 0.5)',
+    'rgb(1 2 3 0.5)',
+    'rgb(1 2 / 3)',
+    'rgb(,1, 2, 3)',
+    'rgb(1, 2, 3,)',
+    'hsl(120, 50% 50%)',
+    'oklch(0.5, 0.1, 120)',
+    'color(srgb 1 0 / 0)'
+  ].forEach(color => assert.equal(parseColor(color), null, color));
+});
+
+test('legacy syntax follows its own unit rules', () => {
+  assert.equal(parseColor('hsl(120, 50, 50)'), null);
+  assert.equal(parseColor('rgb(10%, 2, 3)'), null);
+  assert.equal(parseColor('rgb(none, 2, 3)'), null);
+
+  assert.deepEqual(parseColor('hsl(120 50 50)'), parseColor('hsl(120, 50%, 50%)'));
+  assert.deepEqual(parseColor('rgb(none 2 3)'), { r: 0, g: 2, b: 3, a: 1 });
+});
+
+// OKLab lightness of the first color in a mapped value
+function lightnessOf(value) {
+  const color = /rgba?\([^)]*\)/.exec(value)[0];
+  const rgb = parseColor(color);
+  return rgbToOklab(rgb.r, rgb.g, rgb.b).L;
+}
+
+test('shadows keep their lightness in dark mode', () => {
+  ['perceptual', 'legacy'].forEach(mapping => {
+    [
+      '0 1px 2px #000',
+      'rgba(0, 0, 0, 0.3) 0px 4px 12px 0px',
+      'rgb(40, 40, 60) 1px 1px 0px'
+    ].forEach(shadow => {
+      const mapped = mapColorsInValue(shadow, 'dark', 0.8, mapping);
+      assert.ok(Math.abs(lightnessOf(mapped) - lightnessOf(mapColorsInValue(shadow, 'light', 0, 'perceptual'))) < 0.05,
+        `${mapping}: ${shadow} -> ${mapped}`);
+    });
+  });
+
+  // Alpha and geometry are left as they were
+  assert.equal(mapColorsInValue('rgba(0, 0, 0, 0.3) 0px 4px 12px 0px', 'dark', 0.8), 'rgba(0, 0, 0, 0.3) 0px 4px 12px 0px');
+});
+
+test('single colors are still inverted in dark mode', () => {
+  assert.ok(lightnessOf(mapToRetroPalette('#ffffff', 'dark', 0.8)) < 0.5);
+  assert.ok(lightnessOf(mapToRetroPalette('#000000', 'dark', 0.8)) > 0.5);
+});
@@ -0,0 +1,107 @@
+/**
+ * Owl Retro - DOM Analyzer Tests
+ * Derin renklendirme analizinde atlanan bölgelerin testleri
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeElements, analyzeSubtree } from '../src/content/dom-analyzer.js';
+
+// Just enough DOM for analyzeElements: simple selectors (tag, .class, [attribute]),
+// a parent chain and a computed style per element
+class FakeElement {
+  constructor(tagName, { classes = [], attributes = {}, color = 'rgb(0, 0, 255)' } = {}) {
+    this.nodeType = 1;
+    this.tagName = tagName.toUpperCase();
+    this.classes = new Set(classes);
+    this.attributes = { ...attributes };
+    this.computed = { color };
+    this.parentElement = null;
+    this.children = [];
+    this.isConnected = true;
+  }
+
+  append(...children) {
+    children.forEach(child => {
+      child.parentElement = this;
+      this.children.push(child);
+    });
+    return this;
+  }
+
+  hasAttribute(name) {
+    return name in this.attributes || (name === 'class' && this.classes.size > 0);
+  }
+
+  matches(selectors) {
+    return selectors.split(',').map(selector => selector.trim()).some(selector => {
+      if (selector.startsWith('.')) return this.classes.has(selector.slice(1));
+      if (selector.startsWith('[')) return selector.slice(1, -1) in this.attributes;
+      return selector.toUpperCase() === this.tagName;
+    });
+  }
+
+  closest(selectors) {
+    for (let element = this; element; element = element.parentElement) {
+      if (element.matches(selectors)) return element;
+    }
+    return null;
+  }
+
+  querySelectorAll() {
+    return this.children.flatMap(child => [child, ...child.querySelectorAll('*')]);
+  }
+}
+
+globalThis.Node = { ELEMENT_NODE: 1 };
+globalThis.SVGElement = class SVGElement {};
+globalThis.window = { getComputedStyle: element => element.computed };
+
+const patchedElements = plans => plans.map(plan => plan.element);
+
+test('content added inside a skipped region is not patched', () => {
+  ['.owl-skip', '.owl-keep-colors', '.owl-force-light', '.owl-force-dark'].forEach(selector => {
+    const added = new FakeElement('div');
+    const child = new FakeElement('span');
+    added.append(child);
+    new FakeElement('section', { classes: [selector.slice(1)] }).append(new FakeElement('div').append(added));
+
+    assert.deepEqual(analyzeElements([added], 'dark', 0.8), [], selector);
+  });
+
+  const inEditor = new FakeElement('p');
+  new FakeElement('div', { attributes: { contenteditable: '' } }).append(inEditor);
+  assert.deepEqual(analyzeElements([inEditor], 'dark', 0.8), []);
+
+  const inPicture = new FakeElement('span');
+  new FakeElement('picture').append(inPicture);
+  assert.deepEqual(analyzeElements([inPicture], 'dark', 0.8), []);
+});
+
+test('content added elsewhere is patched, except skipped descendants', () => {
+  const added = new FakeElement('div');
+  const child = new FakeElement('span');
+  const skippedChild = new FakeElement('span');
+  added.append(child, new FakeElement('div', { classes: ['owl-skip'] }).append(skippedChild));
+  new FakeElement('main').append(added);
+
+  const patched = patchedElements(analyzeElements([added], 'dark', 0.8));
+  assert.ok(patched.includes(added));
+  assert.ok(patched.includes(child));
+  assert.ok(!patched.includes(skippedChild));
+});
+
+test('a subtree inside a skipped region is not analyzed at all', async () => {
+  const added = new FakeElement('div');
+  new FakeElement('div', { classes: ['owl-keep-colors'] }).append(added);
+
+  const plans = [];
+  const analyzed = await analyzeSubtree(added, 'dark', 0.8, {
+    includeRoot: true,
+    onPlans: chunk => plans.push(...chunk)
+  });
+  assert.equal(analyzed, 0);
+  assert.deepEqual(plans, []);
+});
@@ -0,0 +1,107 @@
+/**
+ * Owl Retro - Schedule Tests
+ * Zamanlanmış mod, gün doğumu/batımı ve sınır hesaplama testleri
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+
+// Sun times are computed for the local day, so pin the time zone
+process.env.TZ = 'UTC';
+
+// schedule.js is a classic script that registers itself on self, as in the service worker
+globalThis.self = globalThis;
+createRequire(import.meta.url)('../src/utils/schedule.js');
+const { parseTime, validateSchedule, getSunTimes, getScheduledMode, getNextBoundary } = self.OwlRetroSchedule;
+
+const at = (hours, minutes = 0, day = 15, month = 5) => new Date(2024, month, day, hours, minutes);
+
+// Assert two dates are within `minutes` of each other
+function assertNear(actual, expected, minutes, label) {
+  const difference = Math.abs(actual.getTime() - expected.getTime()) / 60000;
+  assert.ok(difference <= minutes, `${label}: ${actual.toISOString()} is ${difference.toFixed(1)} min from ${expected.toISOString()}`);
+}
+
+test('parseTime reads HH:MM and rejects anything else', () => {
+  assert.equal(parseTime('07:00'), 420);
+  assert.equal(parseTime('7:05'), 425);
+  assert.equal(parseTime(' 23:59 '), 1439);
+  assert.equal(parseTime('24:00'), null);
+  assert.equal(parseTime('12:60'), null);
+  assert.equal(parseTime('noon'), null);
+  assert.equal(parseTime(''), null);
+});
+
+test('validateSchedule checks the fields of the schedule type', () => {
+  assert.deepEqual(validateSchedule({ type: 'fixed', darkStart: '19:00', darkEnd: '07:00' }), []);
+  assert.equal(validateSchedule({ type: 'fixed', darkStart: '7pm', darkEnd: 'x' }).length, 2);
+  assert.deepEqual(validateSchedule({ type: 'sun', latitude: 51.5, longitude: -0.1 }), []);
+  assert.equal(validateSchedule({ type: 'sun', latitude: 91, longitude: 0 }).length, 1);
+  assert.equal(validateSchedule({ type: 'sun', latitude: null, longitude: null }).length, 1);
+});
+
+test('a fixed schedule across midnight is dark from start to end', () => {
+  const schedule = { type: 'fixed', darkStart: '19:00', darkEnd: '07:00' };
+  assert.equal(getScheduledMode(schedule, at(12)), 'light');
+  assert.equal(getScheduledMode(schedule, at(18, 59)), 'light');
+  assert.equal(getScheduledMode(schedule, at(19)), 'dark');
+  assert.equal(getScheduledMode(schedule, at(23, 30)), 'dark');
+  // Still yesterday's dark period
+  assert.equal(getScheduledMode(schedule, at(3)), 'dark');
+  assert.equal(getScheduledMode(schedule, at(7)), 'light');
+});
+
+test('a fixed schedule within one day and an empty one', () => {
+  const daytime = { type: 'fixed', darkStart: '09:00', darkEnd: '17:00' };
+  assert.equal(getScheduledMode(daytime, at(8)), 'light');
+  assert.equal(getScheduledMode(daytime, at(12)), 'dark');
+  assert.equal(getScheduledMode(daytime, at(17)), 'light');
+
+  const empty = { type: 'fixed', darkStart: '10:00', darkEnd: '10:00' };
+  assert.equal(getScheduledMode(empty, at(10)), 'light');
+  assert.equal(getNextBoundary(empty, at(10)), null);
+});
+
+test('sunrise and sunset are computed locally', () => {
+  // London, summer solstice: sunrise 03:43 UTC, sunset 20:21 UTC
+  const sun = getSunTimes(at(12, 0, 21), 51.5074, -0.1278);
+  assertNear(sun.sunrise, new Date(Date.UTC(2024, 5, 21, 3, 43)), 5, 'sunrise');
+  assertNear(sun.sunset, new Date(Date.UTC(2024, 5, 21, 20, 21)), 5, 'sunset');
+
+  // Tromsø has midnight sun in June and polar night in December
+  assert.deepEqual(getSunTimes(at(12, 0, 21), 69.65, 18.96), { polar: 'day' });
+  assert.deepEqual(getSunTimes(at(12, 0, 21, 11), 69.65, 18.96), { polar: 'night' });
+});
+
+test('a sun schedule follows sunset and sunrise, and polar day and night', () => {
+  const london = { type: 'sun', latitude: 51.5074, longitude: -0.1278 };
+  assert.equal(getScheduledMode(london, at(12, 0, 21)), 'light');
+  assert.equal(getScheduledMode(london, at(22, 0, 21)), 'dark');
+  assert.equal(getScheduledMode(london, at(2, 0, 21)), 'dark');
+
+  const tromso = { type: 'sun', latitude: 69.65, longitude: 18.96 };
+  assert.equal(getScheduledMode(tromso, at(0, 0, 21)), 'light');
+  assert.equal(getScheduledMode(tromso, at(12, 0, 21, 11)), 'dark');
+});
+
+test('a sun schedule without coordinates falls back to the fixed times', () => {
+  const schedule = { type: 'sun', latitude: null, longitude: null, darkStart: '20:00', darkEnd: '06:00' };
+  assert.equal(getScheduledMode(schedule, at(21)), 'dark');
+  assert.equal(getScheduledMode(schedule, at(12)), 'light');
+});
+
+test('getNextBoundary finds the next mode change', () => {
+  const schedule = { type: 'fixed', darkStart: '19:00', darkEnd: '07:00' };
+  assert.deepEqual(getNextBoundary(schedule, at(12)), at(19));
+  assert.deepEqual(getNextBoundary(schedule, at(23)), at(7, 0, 16));
+  assert.deepEqual(getNextBoundary(schedule, at(3)), at(7));
+
+  const london = { type: 'sun', latitude: 51.5074, longitude: -0.1278 };
+  assertNear(getNextBoundary(london, at(12, 0, 21)), new Date(Date.UTC(2024, 5, 21, 20, 21)), 5, 'next sunset');
+
+  // No sunset for days at the height of the midnight sun
+  assert.equal(getNextBoundary({ type: 'sun', latitude: 69.65, longitude: 18.96 }, at(12, 0, 21)), null);
+});
@@ -0,0 +1,106 @@
+/**
+ * Owl Retro - Site Rule Tests
+ * Site kuralı eşleştirme ve geçersiz kılma sırası testleri
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+
+// site-rules.js is a classic script that registers itself on self, as in the service worker
+globalThis.self = globalThis;
+createRequire(import.meta.url)('../src/utils/site-rules.js');
+const { matchesRule, getRuleType, validateRule, getSiteRuleMatch, resolveSiteSettings, updateSetting } = self.OwlRetroSiteRules;
+
+test('a host rule matches the host and its subdomains', () => {
+  assert.equal(matchesRule('google.com', 'https://google.com/'), true);
+  assert.equal(matchesRule('google.com', 'https://mail.google.com/inbox'), true);
+  assert.equal(matchesRule('google.com', 'https://a.b.google.com/'), true);
+  assert.equal(matchesRule('google.com', 'https://notgoogle.com/'), false);
+  assert.equal(matchesRule('google.com', 'https://google.com.evil.io/'), false);
+  assert.equal(getRuleType('google.com'), 'host');
+});
+
+test('a wildcard rule matches subdomains but not the apex', () => {
+  assert.equal(matchesRule('*.atlassian.net', 'https://team.atlassian.net/wiki'), true);
+  assert.equal(matchesRule('*.atlassian.net', 'https://atlassian.net/'), false);
+  assert.equal(getRuleType('*.atlassian.net'), 'wildcard');
+});
+
+test('"*" in a path rule matches within one segment', () => {
+  const rule = 'a.com/*/pull/*';
+  assert.equal(getRuleType(rule), 'path');
+  assert.equal(matchesRule(rule, 'https://a.com/owl/pull/12'), true);
+  assert.equal(matchesRule(rule, 'https://a.com/owl/pull'), true);
+  assert.equal(matchesRule(rule, 'https://www.a.com/owl/pull/12/files'), true);
+  assert.equal(matchesRule(rule, 'https://a.com/org/owl/pull/12'), false);
+  assert.equal(matchesRule(rule, 'https://a.com/owl/pulls'), false);
+  assert.equal(matchesRule(rule, 'https://b.com/owl/pull/12'), false);
+});
+
+test('regex rules ignore the g and y flags', () => {
+  for (const rule of ['/^https:\\/\\/x\\.io/g', '/^https:\\/\\/x\\.io/gy', '/^https:\\/\\/X\\.IO/iy']) {
+    // A stateful regex would fail every other test() from lastIndex
+    for (let i = 0; i < 3; i++) {
+      assert.equal(matchesRule(rule, 'https://x.io/page'), true, `${rule} run ${i}`);
+    }
+    assert.equal(matchesRule(rule, 'https://y.io/'), false);
+  }
+});
+
+test('invalid rules are reported and never match', () => {
+  assert.match(validateRule('not a host'), /not a valid host/);
+  assert.notEqual(validateRule('/[unclosed/'), null);
+  assert.equal(matchesRule('not a host', 'https://example.com/'), false);
+  assert.equal(validateRule('example.com'), null);
+});
+
+test('the blocklist wins over the allowlist', () => {
+  const preferences = { siteAllowlist: ['a.com'], siteBlocklist: ['ads.a.com'] };
+  assert.deepEqual(getSiteRuleMatch(preferences, 'https://ads.a.com/'), { allowed: false, list: 'blocklist', rule: 'ads.a.com' });
+  assert.deepEqual(getSiteRuleMatch(preferences, 'https://a.com/'), { allowed: true, list: 'allowlist', rule: 'a.com' });
+  assert.equal(getSiteRuleMatch(preferences, 'https://b.com/').allowed, false);
+});
+
+test('path overrides apply after host overrides, shorter rules first', () => {
+  const preferences = {
+    mode: 'light',
+    intensity: 0.8,
+    siteOverrides: {
+      'a.com/docs/api': { mode: 'dark' },
+      'a.com/docs': { mode: 'light', intensity: 0.5 },
+      'docs.a.com': { intensity: 1 },
+      'a.com': { mode: 'auto', intensity: 0.6 }
+    }
+  };
+
+  const docs = resolveSiteSettings(preferences, 'https://a.com/docs/api/x');
+  assert.deepEqual(docs.overrideKeys, ['a.com', 'a.com/docs', 'a.com/docs/api']);
+  assert.equal(docs.settings.mode, 'dark');
+  assert.equal(docs.settings.intensity, 0.5);
+
+  const subdomain = resolveSiteSettings(preferences, 'https://docs.a.com/');
+  assert.deepEqual(subdomain.overrideKeys, ['a.com', 'docs.a.com']);
+  assert.equal(subdomain.settings.mode, 'auto');
+  assert.equal(subdomain.settings.intensity, 1);
+
+  const other = resolveSiteSettings(preferences, 'https://b.com/');
+  assert.deepEqual(other.overrideKeys, []);
+  assert.equal(other.settings.mode, 'light');
+});
+
+test('updateSetting edits the most specific override, or the global setting', () => {
+  const preferences = {
+    mode: 'light',
+    siteOverrides: { 'a.com': { mode: 'dark' }, 'a.com/docs': { intensity: 0.5 } }
+  };
+
+  const updated = updateSetting(preferences, 'https://a.com/docs/x', 'mode', 'auto');
+  assert.deepEqual(updated.siteOverrides['a.com/docs'], { intensity: 0.5, mode: 'auto' });
+  assert.deepEqual(updated.siteOverrides['a.com'], { mode: 'dark' });
+  assert.equal(updated.mode, 'light');
+
+  assert.equal(updateSetting(preferences, 'https://b.com/', 'mode', 'auto').mode, 'auto');
+});